@@ -1,87 +1,156 @@
 // app.js - Express.js + MongoDB + RabbitMQ Entegrasyonu (Düzenlenmiş)
-require('dotenv').config();
+const { config, requireConfig } = require('./lib/config');
+
+requireConfig(['MONGODB_URI', 'RABBITMQ_URL']);
+
 const express = require('express');
 const mongoose = require('mongoose');
 const amqp = require('amqplib');
+const { once } = require('events');
+const { passwordPlugin, authenticate, revokeAllRefreshTokens } = require('./lib/auth');
+const { ROLES, hasPermission, authorize } = require('./lib/permissions');
+const { createVerificationToken } = require('./lib/verification');
+const softDeletePlugin = require('./lib/softDelete');
+const { applyMergePatch, applyJsonPatch } = require('./lib/jsonPatch');
+const { foldTurkish, escapeRegex, searchPlugin, backfillSearchFields } = require('./lib/search');
+const { DEFAULT_LIMIT, MAX_LIMIT, parseLimit, parseSort, toMongoSort, paginateWithCursor, buildLinkHeader } = require('./lib/pagination');
+const { versionPlugin, entityTag, ifMatchSatisfied, ifNoneMatchHit, conditionalFilter, preconditionFailed } = require('./lib/etag');
+const { USER_RETENTION_DAYS, scheduleUserPurge } = require('./lib/userPurge');
+const { formatCsvRow } = require('./lib/csv');
+const { IMPORT_FIELDS, parseImportPayload, importUsers, runImportJob } = require('./lib/userImport');
+const ImportJob = require('./models/importJob');
+const UserAudit = require('./models/userAudit');
+const { requestContext, preserveContext, messageHeaders } = require('./lib/requestContext');
+const { logger, requestLogger } = require('./lib/logger');
+const { createCors } = require('./lib/cors');
+const { httpMetrics, recordPublish, metricsHandler } = require('./lib/metrics');
+const { registerHealthRoutes } = require('./lib/health');
+const { InFlightTracker, closeServer, createShutdown } = require('./lib/shutdown');
+const { localize, localePlugin, translate } = require('./lib/i18n');
+const { auditPlugin, stateAtVersion } = require('./lib/audit');
+const { INTERVALS, TimeSeriesError, isValidTimeZone, buildBuckets, fillBuckets } = require('./lib/timeSeries');
+const { ResponseCache, cacheInvalidationPlugin } = require('./lib/responseCache');
+const { createRateLimitStore, createApiLimiters } = require('./lib/rateLimit');
+const { parseBoundaries, parseLabels, parseTopN, ageBucketStage, labelAgeBuckets, emailDomainFacets } = require('./lib/analytics');
+const createAuthRouter = require('./routes/auth');
+const createVerificationRouter = require('./routes/verification');
+const createPasswordResetRouter = require('./routes/passwordReset');
+const createApiKeyRouter = require('./routes/apiKeys');
+const { requireApiKeyScope } = require('./lib/apiKeys');
+const { OBJECT_ID_SCHEMA, documented, buildOpenApiSpec, listEndpoints, docsPage } = require('./lib/apiDocs');
+const { buildApiSchemas } = require('./lib/apiSchemas');
+const { BadRequestError, ValidationError, ForbiddenError, NotFoundError, UnsupportedMediaTypeError, errorHandler } = require('./lib/errors');
 
 const app = express();
+// Route'lar api.* ile tanımlanır; /openapi.json, /docs ve endpoint listeleri bu tanımlardan üretilir
+const api = documented(app);
+
+// SIGTERM/SIGINT'te adım adım kapanış; adımlar dosyanın sonunda kaydedilir
+const shutdown = createShutdown();
+// Cevap döndükten sonra süren arka plan işleri (import); kapanışta bitmeleri beklenir
+const backgroundJobs = new InFlightTracker();
 
 // RabbitMQ değişkenleri
 let channel = null;
 let connection = null;
 
-// RabbitMQ bağlantı ve kuyruk yönetimi
-const QUEUES = [
-    'email-queue',
-    'sms-queue',
-    'analytics-queue',
-    'image-processing-queue'
-];
+// RabbitMQ bağlantı ve kuyruk yönetimi (kuyruk adları QUEUE_* ile değiştirilebilir)
+const QUEUES = config.rabbitmq.queues;
 
 async function connectRabbitMQ() {
     try {
-        connection = await amqp.connect(process.env.RABBITMQ_URL, { heartbeat: 10 });
+        connection = await amqp.connect(config.rabbitmq.url, { heartbeat: config.rabbitmq.heartbeat });
         channel = await connection.createChannel();
 
         // Kuyrukları oluştur
-        for (const queue of QUEUES) {
+        for (const queue of Object.values(QUEUES)) {
             await channel.assertQueue(queue, { durable: true });
         }
 
-        console.log('✅ RabbitMQ\'ya başarıyla bağlandı!');
-        console.log('📬 Kuyruklar oluşturuldu:', QUEUES.join(', '));
+        logger.info('RabbitMQ\'ya bağlandı', { queues: Object.values(QUEUES) });
 
         // Bağlantı kapanırsa tekrar bağlanmayı dene
         connection.on('close', () => {
-            console.error('❌ RabbitMQ bağlantısı kapandı. Yeniden bağlanılıyor...');
             channel = null;
-            setTimeout(connectRabbitMQ, 5000);
+            if (shutdown.isShuttingDown()) {
+                return;
+            }
+            logger.error('RabbitMQ bağlantısı kapandı, yeniden bağlanılıyor');
+            setTimeout(connectRabbitMQ, config.rabbitmq.reconnectDelayMs);
         });
 
         connection.on('error', (err) => {
-            console.error('❌ RabbitMQ bağlantı hatası:', err.message);
+            logger.error('RabbitMQ bağlantı hatası', { error: err });
         });
     } catch (error) {
-        console.error('❌ RabbitMQ bağlantı hatası:', error.message);
+        logger.error('RabbitMQ bağlantı hatası', { error });
         channel = null;
-        setTimeout(connectRabbitMQ, 5000);
+        setTimeout(connectRabbitMQ, config.rabbitmq.reconnectDelayMs);
     }
 }
 
 connectRabbitMQ();
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// CORS
-app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    if (req.method === 'OPTIONS') {
-        res.sendStatus(200);
-    } else {
-        next();
+// Request id ve dil en başta: body parser hataları da loglanır ve isteğin dilinde döner.
+// Body parser'lar next()'i stream event'inden çağırdığı için preserveContext ile sarılır (audit bağlamı kaybolmasın)
+app.use(requestContext);
+app.use(requestLogger);
+app.use(httpMetrics);
+app.use(shutdown.middleware);
+
+// CORS: izin verilen origin'ler, credentials ve preflight süresi env'den (lib/cors.js).
+// Body parser'dan önce: hata cevapları da CORS header'larını taşısın, tarayıcı okuyabilsin
+app.use(createCors({
+    routes: {
+        // Dokümantasyon ve health endpoint'leri her yerden okunabilir
+        '/openapi.json': { origins: ['*'], credentials: false },
+        '/healthz': { origins: ['*'], credentials: false },
+        '/readyz': { origins: ['*'], credentials: false }
     }
-});
+}));
 
-// Logging
-app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-    next();
-});
+app.use(localize);
+app.use(preserveContext(express.json({ type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json'] })));
+app.use(preserveContext(express.urlencoded({ extended: true })));
+
+// Proxy/load balancer arkasında gerçek istemci IP'si için (ör. TRUST_PROXY=1)
+if (config.http.trustProxy !== undefined) {
+    app.set('trust proxy', config.http.trustProxy);
+}
+
+// Rate limiting. RATE_LIMIT_STORE=mongo ile sayaçlar tüm instance'lar arasında ortak tutulur.
+const rateLimitStore = createRateLimitStore();
+const limiters = createApiLimiters(rateLimitStore);
+
+app.use('/api', limiters.ip);
 
 // MongoDB Bağlantısı
-mongoose.connect(process.env.MONGODB_URI)
+mongoose.connect(config.mongodb.uri)
     .then(() => {
-        console.log('✅ MongoDB\'ye başarıyla bağlandı!');
-        console.log('📍 Database:', mongoose.connection.name);
+        logger.info('MongoDB\'ye bağlandı', { database: mongoose.connection.name });
+
+        // Arama alanları eklenmeden önce oluşturulmuş kullanıcıları doldur
+        backfillSearchFields(User)
+            .then((count) => {
+                if (count > 0) {
+                    logger.info('Kullanıcıların arama alanları dolduruldu', { count });
+                }
+            })
+            .catch((error) => logger.error('Arama alanları doldurulamadı', { error }));
     })
     .catch((error) => {
-        console.error('❌ MongoDB bağlantı hatası:', error.message);
+        logger.error('MongoDB bağlantı hatası', { error });
         process.exit(1);
     });
 
+// GET response önbelleği (varsayılan: süreç içi LRU). Kullanıcı verisi değişince 'users:' kayıtları silinir.
+const responseCache = new ResponseCache();
+const CACHE_TTL_MS = {
+    list: config.cache.listTtlMs,
+    stats: config.cache.statsTtlMs,
+    analytics: config.cache.analyticsTtlMs
+};
+
 // Mongoose Schema ve Model
 const userSchema = new mongoose.Schema({
     name: {
@@ -112,7 +181,15 @@ const userSchema = new mongoose.Schema({
     status: {
         type: String,
         enum: ['active', 'inactive', 'pending'],
-        default: 'active'
+        // Email veya SMS doğrulanınca active olur
+        default: 'pending'
+    },
+    emailVerifiedAt: Date,
+    phoneVerifiedAt: Date,
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'user'
     },
     createdAt: {
         type: Date,
@@ -129,24 +206,150 @@ userSchema.pre('save', function(next) {
     next();
 });
 
+userSchema.plugin(passwordPlugin);
+userSchema.plugin(localePlugin);
+userSchema.plugin(softDeletePlugin);
+userSchema.plugin(versionPlugin);
+userSchema.plugin(searchPlugin);
+userSchema.plugin(auditPlugin);
+userSchema.plugin(cacheInvalidationPlugin, { cache: responseCache, namespace: 'users:' });
+
+// Varsayılan sıralama (createdAt + _id) için; index iki yönde de kullanılabilir
+userSchema.index({ createdAt: 1, _id: 1 });
+
 const User = mongoose.model('User', userSchema);
 
+// OpenAPI components.schemas; route doğrulamasındaki $ref'ler de buradan çözülür
+app.locals.apiSchemas = buildApiSchemas({ User });
+
+const APP_URL = config.http.appUrl;
+const RESET_PASSWORD_URL = config.http.resetPasswordUrl;
+
+function publishToQueue(queue, message) {
+    if (!channel) {
+        throw new Error('RabbitMQ bağlantısı yok');
+    }
+    const sent = channel.sendToQueue(queue, Buffer.from(JSON.stringify(message)), { persistent: true, headers: messageHeaders() });
+    recordPublish(queue);
+    return sent;
+}
+
+// Doğrulama token'ı üret ve email/SMS kuyruğuna gönder
+async function sendVerification(user, verificationChannel) {
+    if (!channel) {
+        throw new Error('RabbitMQ bağlantısı yok');
+    }
+
+    const token = await createVerificationToken(user._id, verificationChannel);
+
+    if (verificationChannel === 'email') {
+        publishToQueue(QUEUES.email, {
+            action: 'email-verification',
+            userId: user._id,
+            data: {
+                email: user.email,
+                userName: user.name,
+                locale: user.locale,
+                verifyLink: `${APP_URL}/api/auth/verify-email?token=${token}`
+            }
+        });
+    } else {
+        publishToQueue(QUEUES.sms, {
+            action: 'sms-verification',
+            userId: user._id,
+            data: {
+                phone: user.phone,
+                content: translate(user.locale, 'sms.verification', { userName: user.name, code: token }),
+                type: 'verification'
+            }
+        });
+    }
+}
+
+// Şifre sıfırlama linkini email-worker'ın password-reset şablonuna gönder
+function sendPasswordReset(user, token) {
+    publishToQueue(QUEUES.email, {
+        action: 'password-reset',
+        userId: user._id,
+        data: {
+            email: user.email,
+            userName: user.name,
+            locale: user.locale,
+            resetLink: `${RESET_PASSWORD_URL}?token=${token}`
+        }
+    });
+}
+
+// Yeni kullanıcı için background job mesajlarını kuyruğa gönder
+async function publishUserCreatedJobs(savedUser) {
+    if (channel) {
+        try {
+            // 1. Analytics Queue
+            publishToQueue(QUEUES.analytics, {
+                action: 'analytics-user-registered',
+                userId: savedUser._id,
+                data: {
+                    event: 'user-registered',
+                    data: {
+                        userAge: savedUser.age,
+                        registrationDate: savedUser.createdAt,
+                        source: 'api'
+                    }
+                }
+            });
+
+            // 2. Email Queue
+            publishToQueue(QUEUES.email, {
+                action: 'email-welcome',
+                userId: savedUser._id,
+                data: {
+                    email: savedUser.email,
+                    locale: savedUser.locale,
+                    type: 'welcome',
+                    data: {
+                        userName: savedUser.name
+                    }
+                }
+            });
+
+            // 3. Email + SMS doğrulama
+            await sendVerification(savedUser, 'email');
+            if (savedUser.phone) {
+                await sendVerification(savedUser, 'sms');
+            }
+
+            // 4. Image Processing Queue
+            publishToQueue(QUEUES.imageProcessing, {
+                action: 'image-processed',
+                userId: savedUser._id,
+                data: {
+                    imagePath: '/uploads/default-avatar.jpg',
+                    operations: ['resize', 'optimize', 'thumbnail']
+                }
+            });
+
+            logger.info('Kullanıcı mesajları kuyruğa gönderildi', { userId: savedUser._id });
+        } catch (queueError) {
+            logger.error('RabbitMQ mesaj gönderme hatası', { error: queueError });
+        }
+    } else {
+        logger.warn('RabbitMQ bağlantısı yok, mesajlar kuyruğa gönderilemedi', { userId: savedUser._id });
+    }
+}
+
 // Routes
 
-app.get('/', (req, res) => {
+api.get('/', { summary: 'API bilgisi ve endpoint listesi' }, (req, res) => {
     res.json({
         message: '🚀 Express.js + MongoDB + RabbitMQ API\'sine Hoş Geldiniz!',
         version: '3.0.0',
         database: 'MongoDB + Mongoose',
         queue: 'RabbitMQ',
-        endpoints: {
-            'GET /api/users': 'Tüm kullanıcıları listele',
-            'GET /api/users/:id': 'Belirli bir kullanıcıyı getir',
-            'POST /api/users': 'Yeni kullanıcı oluştur',
-            'PUT /api/users/:id': 'Kullanıcı bilgilerini güncelle',
-            'DELETE /api/users/:id': 'Kullanıcıyı sil',
-            'GET /api/users/stats/summary': 'Kullanıcı istatistikleri'
+        documentation: {
+            openapi: '/openapi.json',
+            docs: '/docs'
         },
+        endpoints: listEndpoints(app),
         services: {
             mongodb: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
             rabbitmq: channel ? 'Connected' : 'Disconnected'
@@ -154,385 +357,1137 @@ app.get('/', (req, res) => {
     });
 });
 
-// GET /api/users
-app.get('/api/users', async (req, res) => {
-    try {
-        const { name, minAge, maxAge, status, limit = 10, page = 1, sort = 'createdAt' } = req.query;
+// OpenAPI dokümanı; tüm route'lar tanımlandıktan sonra ilk istekte üretilir
+let openApiSpec = null;
+
+api.get('/openapi.json', { summary: 'OpenAPI 3 dokümanı' }, (req, res) => {
+    openApiSpec = openApiSpec || buildOpenApiSpec(app, {
+        info: {
+            title: 'Express.js + MongoDB + RabbitMQ API',
+            version: '3.0.0'
+        },
+        schemas: app.locals.apiSchemas
+    });
+    res.json(openApiSpec);
+});
 
-        let query = {};
+api.get('/docs', {
+    summary: 'Etkileşimli API dokümantasyonu',
+    responses: { 200: { description: 'Swagger UI sayfası', contentType: 'text/html', schema: { type: 'string' } } }
+}, (req, res) => {
+    res.type('html').send(docsPage({ title: 'API Dokümantasyonu', specUrl: '/openapi.json' }));
+});
 
-        if (name) {
-            query.name = { $regex: name, $options: 'i' };
-        }
+// Liveness/readiness (orchestrator ve load balancer için); /api dışında olduğu için rate limit'e takılmaz
+registerHealthRoutes(api, {
+    checks: {
+        mongodb: { check: () => mongoose.connection.readyState === 1 },
+        rabbitmq: { check: () => channel !== null },
+        // Kapanış başladıysa load balancer yeni trafik göndermesin
+        shutdown: { check: () => !shutdown.isShuttingDown() }
+    }
+});
 
-        if (minAge || maxAge) {
-            query.age = {};
-            if (minAge) query.age.$gte = parseInt(minAge);
-            if (maxAge) query.age.$lte = parseInt(maxAge);
+api.get('/metrics', {
+    summary: 'Prometheus metrikleri',
+    tags: ['Health'],
+    responses: { 200: { description: 'Prometheus text formatı', contentType: 'text/plain', schema: { type: 'string' } } }
+}, metricsHandler);
+
+// Auth
+app.post('/api/auth/login', limiters.login);
+app.post('/api/auth/register', limiters.register);
+app.post('/api/auth/forgot-password', limiters.forgotPassword);
+api.use('/api/auth', createAuthRouter({ User, onRegister: publishUserCreatedJobs }));
+api.use('/api/auth', createVerificationRouter({ User, sendVerification }));
+api.use('/api/auth', createPasswordResetRouter({ User, sendPasswordReset }));
+
+// API anahtarı yönetimi (admin)
+api.use('/api/api-keys', authenticate, authorize('api-keys:manage'), createApiKeyRouter());
+
+// API anahtarlarında okuma (GET) ve yazma işlemleri ayrı scope ister
+const usersApiKeyScope = requireApiKeyScope({ GET: 'users:read', HEAD: 'users:read', default: 'users:write' });
+
+// /api/users altındaki tüm route'lar giriş gerektirir (Bearer token veya ApiKey)
+api.use('/api/users', authenticate, usersApiKeyScope, limiters.user);
+
+// PUT/DELETE sadece hesabın sahibi veya admin
+const accountOwnerId = (req) => req.params.id;
+
+// GET /api/users için sıralanabilir alanlar
+const SORTABLE_USER_FIELDS = ['createdAt', 'updatedAt', 'name', 'email', 'age', 'status'];
+
+// Route dokümanlarında ortak kullanılan parametre ve cevap tanımları
+const USER_ID_PARAMS = { id: OBJECT_ID_SCHEMA };
+const USER_FILTER_QUERY = {
+    name: { type: 'string', description: 'İsimde geçen metin (Türkçe karakterlere duyarsız)' },
+    minAge: { type: 'integer', minimum: 0 },
+    maxAge: { type: 'integer', minimum: 0 },
+    status: { type: 'string', enum: User.schema.path('status').enumValues }
+};
+const PAGE_QUERY = {
+    page: { type: 'integer', minimum: 1, default: 1 },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }
+};
+const SORT_QUERY = {
+    sort: { type: 'string', description: `Alanlar: ${SORTABLE_USER_FIELDS.join(', ')}. Örnek: age,-createdAt veya age:asc,createdAt:desc` }
+};
+const IF_MATCH_HEADER = {
+    'If-Match': { type: 'string', description: 'Kullanıcının ETag değeri; eşleşmezse 412 döner' }
+};
+const USER_RESPONSE = { description: 'Kullanıcı', schema: { $ref: '#/components/schemas/User' } };
+const USER_LIST_RESPONSE = {
+    description: 'Kullanıcı listesi',
+    schema: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            data: { type: 'array', items: { $ref: '#/components/schemas/User' } }
         }
+    }
+};
+const AGE_BUCKET_QUERY = {
+    ageBoundaries: { type: 'string', description: 'Virgülle ayrılmış artan yaş sınırları, örn. 18,25,35' },
+    ageLabels: { type: 'string', description: 'Her aralık için virgülle ayrılmış etiketler (sınır sayısı - 1 adet)' }
+};
+
+// GET /api/users query parametrelerinden Mongo filtresi oluştur
+function buildUserFilter({ name, minAge, maxAge, status }) {
+    const query = {};
+
+    // "İçerir" araması; girdi escape edilir ve Türkçe karakterler katlanır
+    if (name) {
+        query.searchName = { $regex: escapeRegex(foldTurkish(name)) };
+    }
+
+    // minAge/maxAge route doğrulamasında sayıya çevrilmiş gelir
+    if (minAge !== undefined || maxAge !== undefined) {
+        query.age = {};
+        if (minAge !== undefined) query.age.$gte = minAge;
+        if (maxAge !== undefined) query.age.$lte = maxAge;
+    }
+
+    if (status) {
+        query.status = status;
+    }
+
+    return query;
+}
 
-        if (status) {
-            query.status = status;
+// GET /api/users
+// Varsayılan: page/limit (offset) modu. cursor veya pagination=cursor ile cursor modu.
+// sort: "age,-createdAt" veya "age:asc,createdAt:desc"; includeTotal=true|false
+api.get('/api/users', {
+    summary: 'Kullanıcıları listele (page/limit veya cursor)',
+    query: {
+        ...PAGE_QUERY,
+        ...SORT_QUERY,
+        ...USER_FILTER_QUERY,
+        cursor: { type: 'string', description: 'Önceki cevaptaki nextCursor/prevCursor' },
+        pagination: { type: 'string', enum: ['offset', 'cursor'], default: 'offset' },
+        includeTotal: { type: 'boolean', description: 'Cursor modunda toplam sayıyı da döndür' }
+    },
+    responses: { 200: USER_LIST_RESPONSE }
+}, responseCache.route('users:list', { ttlMs: CACHE_TTL_MS.list }), async (req, res, next) => {
+    try {
+        const { page, sort, cursor, pagination, includeTotal } = req.query;
+
+        const query = buildUserFilter(req.query);
+        const sortKeys = parseSort(sort, SORTABLE_USER_FIELDS, 'createdAt');
+        const limitNum = parseLimit(req.query.limit);
+
+        if (cursor || pagination === 'cursor') {
+            const result = await paginateWithCursor(User, query, {
+                keys: sortKeys,
+                limit: limitNum,
+                cursor,
+                includeTotal: includeTotal === true
+            });
+
+            const linkHeader = buildLinkHeader(req, {
+                first: { cursor: null, pagination: 'cursor' },
+                prev: result.prevCursor && { cursor: result.prevCursor, pagination: null },
+                next: result.nextCursor && { cursor: result.nextCursor, pagination: null }
+            });
+            res.set('Link', linkHeader);
+
+            return res.json({
+                success: true,
+                count: result.data.length,
+                total: result.total,
+                pagination: {
+                    mode: 'cursor',
+                    limit: limitNum,
+                    hasNext: result.hasNext,
+                    hasPrev: result.hasPrev,
+                    nextCursor: result.nextCursor,
+                    prevCursor: result.prevCursor
+                },
+                data: result.data
+            });
         }
 
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
+        const pageNum = page;
         const skip = (pageNum - 1) * limitNum;
 
-        const total = await User.countDocuments(query);
+        // Geriye uyumluluk için offset modunda toplam varsayılan olarak döner
+        const total = includeTotal === false ? undefined : await User.countDocuments(query);
+        const totalPages = total === undefined ? undefined : Math.ceil(total / limitNum);
 
         const users = await User.find(query)
-            .sort(sort)
+            .sort(toMongoSort(sortKeys))
             .skip(skip)
             .limit(limitNum)
             .select('-__v');
 
+        const hasNext = total === undefined ? users.length === limitNum : pageNum < totalPages;
+        res.set('Link', buildLinkHeader(req, {
+            first: { page: 1 },
+            prev: pageNum > 1 && { page: pageNum - 1 },
+            next: hasNext && { page: pageNum + 1 },
+            last: totalPages > 0 && { page: totalPages }
+        }));
+
         res.json({
             success: true,
             count: users.length,
             total: total,
             page: pageNum,
-            totalPages: Math.ceil(total / limitNum),
+            totalPages: totalPages,
             data: users
         });
 
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'Kullanıcılar getirilirken hata oluştu',
-            error: error.message
+        next(error);
+    }
+});
+
+const SEARCH_QUERY_MAX_LENGTH = 100;
+
+// GET /api/users/search?q=...&mode=text|prefix&limit=
+// text: isim + email üzerinde metin indeksi, alaka skoruna göre sıralı
+// prefix: autocomplete için; her kelime isim kelimelerinden birinin veya email'in başıyla eşleşmeli
+api.get('/api/users/search', {
+    summary: 'Kullanıcı ara',
+    query: {
+        q: { type: 'string', required: true, minLength: 1, maxLength: SEARCH_QUERY_MAX_LENGTH },
+        mode: { type: 'string', enum: ['text', 'prefix'], default: 'text' },
+        limit: PAGE_QUERY.limit
+    },
+    responses: { 200: USER_LIST_RESPONSE }
+}, async (req, res, next) => {
+    try {
+        const { q, mode } = req.query;
+        const limitNum = parseLimit(req.query.limit);
+        const folded = foldTurkish(q);
+        let users;
+
+        if (mode === 'text') {
+            users = await User.find(
+                { $text: { $search: folded } },
+                { score: { $meta: 'textScore' } }
+            )
+                .sort({ score: { $meta: 'textScore' }, _id: 1 })
+                .limit(limitNum)
+                .select('-__v');
+        } else {
+            const terms = folded.split(/\s+/).filter(Boolean);
+            users = await User.find({
+                $and: terms.map(term => ({
+                    $or: [
+                        { nameKeywords: { $regex: `^${escapeRegex(term)}` } },
+                        { email: { $regex: `^${escapeRegex(term)}` } }
+                    ]
+                }))
+            })
+                .sort({ name: 1, _id: 1 })
+                .limit(limitNum)
+                .select('-__v');
+        }
+
+        res.json({
+            success: true,
+            query: q,
+            mode: mode,
+            count: users.length,
+            data: users
         });
+
+    } catch (error) {
+        next(error);
     }
 });
 
-// GET /api/users/:id
-app.get('/api/users/:id', async (req, res) => {
+// GET /api/users/trash - Silinmiş kullanıcılar (/:id'den önce tanımlanmalı)
+api.get('/api/users/trash', {
+    summary: 'Silinmiş kullanıcılar',
+    query: PAGE_QUERY,
+    responses: { 200: USER_LIST_RESPONSE }
+}, authorize('users:trash'), async (req, res, next) => {
     try {
-        const user = await User.findById(req.params.id).select('-__v');
+        const { page: pageNum, limit: limitNum } = req.query;
+        const query = { deletedAt: { $ne: null } };
 
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                message: 'Kullanıcı bulunamadı'
-            });
+        const total = await User.countDocuments(query);
+
+        const users = await User.find(query)
+            .sort({ deletedAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .select('-__v');
+
+        res.json({
+            success: true,
+            count: users.length,
+            total: total,
+            page: pageNum,
+            totalPages: Math.ceil(total / limitNum),
+            retentionDays: USER_RETENTION_DAYS,
+            data: users.map(user => ({
+                ...user.toJSON(),
+                purgeAt: new Date(user.deletedAt.getTime() + USER_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+            }))
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST /api/users/:id/restore - Çöp kutusundan geri al
+api.post('/api/users/:id/restore', {
+    summary: 'Silinmiş kullanıcıyı geri yükle',
+    params: USER_ID_PARAMS,
+    responses: { 200: USER_RESPONSE, 404: 'Silinmiş kullanıcı bulunamadı' }
+}, authorize('users:restore'), async (req, res, next) => {
+    try {
+        const restoredUser = await User.findOneAndUpdate(
+            { _id: req.params.id, deletedAt: { $ne: null } },
+            { $set: { deletedAt: null, updatedAt: Date.now() }, $unset: { deletedBy: 1 } },
+            { new: true, select: '-__v' }
+        );
+
+        if (!restoredUser) {
+            throw new NotFoundError('Çöp kutusunda böyle bir kullanıcı yok', { code: 'DELETED_USER_NOT_FOUND' });
         }
 
         res.json({
             success: true,
-            data: user
+            message: req.t('messages.userRestored'),
+            data: restoredUser
         });
 
     } catch (error) {
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                success: false,
-                message: 'Geçersiz kullanıcı ID formatı'
+        next(error);
+    }
+});
+
+// Toplu import / export
+const IMPORT_FORMATS = {
+    csv: ['text/csv', 'application/csv'],
+    ndjson: ['application/x-ndjson', 'application/ndjson']
+};
+const IMPORT_BODY_LIMIT = config.import.bodyLimit;
+// Bu satır sayısından büyük dosyalar arka plan işi olarak çalışır
+const IMPORT_SYNC_MAX_ROWS = config.import.syncMaxRows;
+const EXPORT_FIELDS = ['_id', 'name', 'email', 'phone', 'age', 'status', 'role', 'createdAt', 'updatedAt'];
+
+const importBodyParser = express.text({
+    type: [...IMPORT_FORMATS.csv, ...IMPORT_FORMATS.ndjson, 'text/plain'],
+    limit: IMPORT_BODY_LIMIT
+});
+
+// ?format= verilmemişse Content-Type'tan çıkar
+function resolveImportFormat(req) {
+    if (req.query.format) {
+        return IMPORT_FORMATS[req.query.format] ? req.query.format : null;
+    }
+    return Object.keys(IMPORT_FORMATS).find(format => req.is(IMPORT_FORMATS[format])) || null;
+}
+
+// POST /api/users/import?format=csv|ndjson&dryRun=true&upsert=true&async=true
+// CSV'de ilk satır başlıktır: name,email,phone,age,status
+api.post('/api/users/import', {
+    summary: 'CSV/NDJSON toplu import',
+    description: `CSV'de ilk satır başlıktır (${IMPORT_FIELDS.join(',')}). ${IMPORT_SYNC_MAX_ROWS} satırdan fazlası veya async=true arka planda işlenir.`,
+    query: {
+        format: { type: 'string', enum: Object.keys(IMPORT_FORMATS), description: 'Verilmezse Content-Type\'tan belirlenir' },
+        dryRun: { type: 'boolean', default: false },
+        upsert: { type: 'boolean', default: false, description: 'Email eşleşen kullanıcıları güncelle' },
+        async: { type: 'boolean', default: false }
+    },
+    bodyContentTypes: Object.values(IMPORT_FORMATS),
+    body: { type: 'string' },
+    responses: {
+        200: 'Import sonucu',
+        202: { description: 'Import işi kuyruğa alındı (Location: iş durumu)', schema: { $ref: '#/components/schemas/ImportJob' } },
+        415: 'Desteklenmeyen format'
+    }
+}, authorize('users:import'), preserveContext(importBodyParser), async (req, res, next) => {
+    try {
+        const format = resolveImportFormat(req);
+        if (!format) {
+            throw new UnsupportedMediaTypeError('Desteklenmeyen format. text/csv veya application/x-ndjson gönderin ya da ?format=csv|ndjson kullanın', {
+                code: 'UNSUPPORTED_IMPORT_FORMAT'
+            });
+        }
+
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            throw new BadRequestError('Import edilecek veri boş', { code: 'EMPTY_IMPORT' });
+        }
+
+        let records;
+        try {
+            records = parseImportPayload(req.body, format, req.t);
+        } catch (error) {
+            throw new BadRequestError(error.message, { code: 'INVALID_IMPORT_PAYLOAD', params: { reason: error.message } });
+        }
+
+        const options = {
+            dryRun: req.query.dryRun,
+            upsert: req.query.upsert
+        };
+        // Satır hataları isteğin dilinde yazılır (arka plan işinde de)
+        const importOptions = { ...options, t: req.t };
+
+        if (req.query.async || records.length > IMPORT_SYNC_MAX_ROWS) {
+            const job = await ImportJob.create({
+                format,
+                ...options,
+                total: records.length,
+                createdBy: req.user.id
             });
+
+            setImmediate(() => backgroundJobs.track(() => runImportJob(job._id, User, records, importOptions)));
+
+            return res.status(202)
+                .location(`/api/users/import/${job._id}`)
+                .json({
+                    success: true,
+                    message: req.t('messages.importQueued'),
+                    data: job
+                });
         }
 
-        res.status(500).json({
-            success: false,
-            message: 'Kullanıcı getirilirken hata oluştu',
-            error: error.message
+        const summary = await importUsers(User, records, importOptions);
+
+        res.status(options.dryRun || summary.created === 0 ? 200 : 201).json({
+            success: summary.failed === 0,
+            message: req.t(options.dryRun ? 'messages.importDryRun' : 'messages.importCompleted'),
+            data: { format, ...options, ...summary }
         });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/users/import/:jobId - Arka plan import işinin ilerlemesi ve satır hataları
+api.get('/api/users/import/:jobId', {
+    summary: 'Arka plan import işinin durumu',
+    params: { jobId: OBJECT_ID_SCHEMA },
+    responses: { 200: { description: 'Import işi', schema: { $ref: '#/components/schemas/ImportJob' } }, 404: 'Import işi bulunamadı' }
+}, authorize('users:import'), async (req, res, next) => {
+    try {
+        const job = await ImportJob.findById(req.params.jobId).select('-__v');
+
+        if (!job) {
+            throw new NotFoundError('Import işi bulunamadı', { code: 'IMPORT_JOB_NOT_FOUND' });
+        }
+
+        res.json({
+            success: true,
+            data: job
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/users/export?format=csv|ndjson - GET /api/users ile aynı filtreler ve sıralama.
+// Kayıtlar cursor ile tek tek okunup yazılır, hepsi belleğe alınmaz.
+api.get('/api/users/export', {
+    summary: 'Filtrelenmiş kullanıcıları stream olarak dışa aktar',
+    query: {
+        format: { type: 'string', enum: Object.keys(IMPORT_FORMATS), default: 'csv' },
+        ...SORT_QUERY,
+        ...USER_FILTER_QUERY
+    },
+    responses: {
+        200: { description: `Alanlar: ${EXPORT_FIELDS.join(', ')}`, contentType: 'text/csv', schema: { type: 'string' } }
+    }
+}, authorize('users:export'), async (req, res, next) => {
+    let cursor;
+
+    try {
+        const { format } = req.query;
+
+        const query = buildUserFilter(req.query);
+        const sortKeys = parseSort(req.query.sort, SORTABLE_USER_FIELDS, 'createdAt');
+
+        cursor = User.find(query)
+            .sort(toMongoSort(sortKeys))
+            .select(EXPORT_FIELDS.join(' '))
+            .lean()
+            .cursor();
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        res.set({
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+            'Content-Disposition': `attachment; filename="users-${timestamp}.${format}"`
+        });
+
+        if (format === 'csv') {
+            res.write(formatCsvRow(EXPORT_FIELDS));
+        }
+
+        // İstemci bağlantıyı keserse okumayı bırak
+        res.on('close', () => cursor.close().catch(() => {}));
+
+        for await (const user of cursor) {
+            if (res.destroyed) {
+                break;
+            }
+
+            const line = format === 'csv'
+                ? formatCsvRow(EXPORT_FIELDS.map(field => user[field]))
+                : `${JSON.stringify(Object.fromEntries(EXPORT_FIELDS.map(field => [field, user[field]])))}\n`;
+
+            // Backpressure: soket tamponu doluysa boşalmasını bekle
+            if (!res.write(line)) {
+                await Promise.race([once(res, 'drain'), once(res, 'close')]);
+            }
+        }
+
+        res.end();
+
+    } catch (error) {
+        if (cursor) {
+            cursor.close().catch(() => {});
+        }
+
+        // Stream başladıysa JSON hata dönemeyiz; errorHandler bağlantıyı keser
+        if (res.headersSent) {
+            logger.error('Export yarıda kaldı', { error });
+        }
+
+        next(error);
+    }
+});
+
+// GET /api/users/:id - ETag döner, If-None-Match eşleşirse 304
+api.get('/api/users/:id', {
+    summary: 'Belirli bir kullanıcıyı getir',
+    params: USER_ID_PARAMS,
+    headers: { 'If-None-Match': { type: 'string', description: 'ETag eşleşirse 304 döner' } },
+    responses: { 200: USER_RESPONSE, 304: 'Değişmedi', 404: 'Kullanıcı bulunamadı' }
+}, async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            throw new NotFoundError('Kullanıcı bulunamadı', { code: 'USER_NOT_FOUND' });
+        }
+
+        const etag = entityTag(user);
+        res.set('ETag', etag);
+
+        if (ifNoneMatchHit(req, etag)) {
+            return res.status(304).end();
+        }
+
+        res.json({
+            success: true,
+            data: user
+        });
+
+    } catch (error) {
+        next(error);
     }
 });
 
 // POST /api/users - RabbitMQ Entegrasyonlu
-app.post('/api/users', async (req, res) => {
+api.post('/api/users', {
+    summary: 'Yeni kullanıcı oluştur',
+    body: {
+        allOf: [
+            { $ref: '#/components/schemas/UserInput' },
+            { type: 'object', properties: { password: { type: 'string', minLength: 8 } } }
+        ]
+    },
+    responses: { 201: USER_RESPONSE, 409: 'Bu email adresi zaten kullanılıyor' }
+}, limiters.createUser, async (req, res, next) => {
     try {
-        const { name, email, age, status, phone } = req.body;
+        const { name, email, age, status, phone, password, role } = req.body;
+
+        if (role !== undefined && !hasPermission(req.user.role, 'users:manage-roles')) {
+            throw new ForbiddenError('Rol atama yetkiniz yok', { code: 'ROLE_ASSIGNMENT_FORBIDDEN', requiredPermission: 'users:manage-roles' });
+        }
+
+        if (status !== undefined && !hasPermission(req.user.role, 'users:manage-status')) {
+            throw new ForbiddenError('Durum atama yetkiniz yok', { code: 'STATUS_ASSIGNMENT_FORBIDDEN', requiredPermission: 'users:manage-status' });
+        }
 
         const newUser = new User({
             name,
             email,
             phone,
             age,
-            status: status || 'active'
+            password,
+            role,
+            status
         });
 
         const savedUser = await newUser.save();
 
-        // RabbitMQ mesajlarını gönder
-        if (channel) {
-            try {
-                // 1. Analytics Queue
-                channel.sendToQueue(
-                    'analytics-queue',
-                    Buffer.from(JSON.stringify({
-                        action: 'analytics-user-registered',
-                        userId: savedUser._id,
-                        data: {
-                            event: 'user-registered',
-                            data: {
-                                userAge: savedUser.age,
-                                registrationDate: savedUser.createdAt,
-                                source: 'api'
-                            }
-                        }
-                    })),
-                    { persistent: true }
-                );
-
-                // 2. Email Queue
-                channel.sendToQueue(
-                    'email-queue',
-                    Buffer.from(JSON.stringify({
-                        action: 'email-welcome',
-                        userId: savedUser._id,
-                        data: {
-                            email: savedUser.email,
-                            type: 'welcome',
-                            data: {
-                                userName: savedUser.name
-                            }
-                        }
-                    })),
-                    { persistent: true }
-                );
-
-                // 3. SMS Queue
-                if (phone) {
-                    const verificationCode = Math.floor(100000 + Math.random() * 900000);
-                    channel.sendToQueue(
-                        'sms-queue',
-                        Buffer.from(JSON.stringify({
-                            action: 'sms-verification',
-                            data: {
-                                phone: phone,
-                                content: `Merhaba ${savedUser.name}, hesabınız oluşturuldu! Doğrulama kodu: ${verificationCode}`,
-                                type: 'verification'
-                            }
-                        })),
-                        { persistent: true }
-                    );
-                }
-
-                // 4. Image Processing Queue
-                channel.sendToQueue(
-                    'image-processing-queue',
-                    Buffer.from(JSON.stringify({
-                        action: 'image-processed',
-                        userId: savedUser._id,
-                        data: {
-                            imagePath: '/uploads/default-avatar.jpg',
-                            operations: ['resize', 'optimize', 'thumbnail']
-                        }
-                    })),
-                    { persistent: true }
-                );
-
-                console.log(`📤 Mesajlar kuyruğa gönderildi: ${savedUser.email}`);
-            } catch (queueError) {
-                console.error('⚠️ RabbitMQ mesaj gönderme hatası:', queueError.message);
-            }
-        } else {
-            console.warn('⚠️ RabbitMQ bağlantısı yok, mesajlar kuyruğa gönderilemedi.');
-        }
+        publishUserCreatedJobs(savedUser);
 
         res.status(201).json({
             success: true,
-            message: 'Kullanıcı oluşturuldu! Background işlemleri başlatıldı.',
+            message: req.t('messages.userCreated'),
             data: savedUser,
             backgroundJobs: {
-                email: 'Welcome email gönderiliyor...',
-                sms: phone ? `SMS gönderiliyor: ${phone}...` : 'Telefon numarası yok',
-                analytics: 'User registration analytics kaydediliyor...',
-                imageProcessing: 'Profil resmi işleniyor...'
+                email: req.t('messages.backgroundJobs.email'),
+                sms: phone ? req.t('messages.backgroundJobs.sms', { phone }) : req.t('messages.backgroundJobs.noPhone'),
+                analytics: req.t('messages.backgroundJobs.analytics'),
+                imageProcessing: req.t('messages.backgroundJobs.imageProcessing')
             }
         });
 
     } catch (error) {
-        if (error.name === 'ValidationError') {
-            const validationErrors = Object.values(error.errors).map(err => err.message);
-            return res.status(400).json({
-                success: false,
-                message: 'Validation hatası',
-                errors: validationErrors
-            });
+        next(error);
+    }
+});
+
+// PUT/PATCH ile değiştirilebilen alanlar
+const EDITABLE_USER_FIELDS = ['name', 'email', 'phone', 'age', 'locale', 'status', 'role'];
+// PUT'ta gövdede tam olarak gönderilmesi beklenen profil alanları
+const REPLACEABLE_USER_FIELDS = ['name', 'email', 'phone', 'age', 'locale'];
+// GET cevabından geri gönderilebilecek, PUT'ta yok sayılan salt okunur alanlar
+const READ_ONLY_USER_FIELDS = ['_id', 'createdAt', 'updatedAt', 'emailVerifiedAt', 'phoneVerifiedAt', 'deletedAt', 'deletedBy'];
+// Değiştirilmeleri ayrıca yetki isteyen alanlar
+const PRIVILEGED_USER_FIELDS = { status: 'users:manage-status', role: 'users:manage-roles' };
+
+function toEditableUser(user) {
+    const editable = {};
+    for (const field of EDITABLE_USER_FIELDS) {
+        if (user[field] !== undefined && user[field] !== null) {
+            editable[field] = user[field];
+        }
+    }
+    return editable;
+}
+
+// Mevcut ve istenen temsili karşılaştırıp değişen alanları kaydeder.
+// Gönderilmeyen (undefined) alanlar $unset edilir.
+// queryOptions.audit: geçmişe yazılacak işlem tipi (ör. revert)
+async function saveUserChanges(req, res, user, nextFields, pathsToValidate = [], queryOptions = {}) {
+    const unknownFields = Object.keys(nextFields).filter(field => !EDITABLE_USER_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        throw new ValidationError(
+            unknownFields.map(field => ({ in: 'body', field, code: 'UNKNOWN_FIELD', message: req.t('validation.NOT_EDITABLE', { field }) })),
+            `Bilinmeyen veya değiştirilemez alan(lar): ${unknownFields.join(', ')}`,
+            { code: 'UNKNOWN_FIELDS', params: { fields: unknownFields.join(', ') } }
+        );
+    }
+
+    const current = toEditableUser(user);
+    const $set = {};
+    const $unset = {};
+    const changedFields = [];
+
+    for (const field of EDITABLE_USER_FIELDS) {
+        if (nextFields[field] === undefined) {
+            if (current[field] !== undefined) {
+                $unset[field] = 1;
+                changedFields.push(field);
+            }
+        } else if (nextFields[field] !== current[field]) {
+            $set[field] = nextFields[field];
+            changedFields.push(field);
         }
+    }
 
-        if (error.code === 11000) {
-            return res.status(409).json({
-                success: false,
-                message: 'Bu email adresi zaten kullanılıyor'
+    for (const [field, permission] of Object.entries(PRIVILEGED_USER_FIELDS)) {
+        if (changedFields.includes(field) && !hasPermission(req.user.role, permission)) {
+            throw new ForbiddenError(`${field} alanını değiştirme yetkiniz yok`, {
+                code: 'FIELD_FORBIDDEN',
+                params: { field },
+                requiredPermission: permission
             });
         }
+    }
+
+    const validationError = new User(nextFields).validateSync([...new Set([...pathsToValidate, ...changedFields])]);
+    if (validationError) {
+        throw validationError;
+    }
 
-        res.status(500).json({
-            success: false,
-            message: 'Kullanıcı oluşturulurken hata oluştu',
-            error: error.message
+    if (changedFields.length === 0) {
+        res.set('ETag', entityTag(user));
+        return res.json({
+            success: true,
+            message: req.t('messages.userNotModified'),
+            data: user
         });
     }
-});
 
-// PUT /api/users/:id
-app.put('/api/users/:id', async (req, res) => {
+    const update = { $set: { ...$set, updatedAt: Date.now() } };
+    if (Object.keys($unset).length > 0) {
+        update.$unset = $unset;
+    }
+
+    const updatedUser = await User.findOneAndUpdate(
+        conditionalFilter(req, user),
+        update,
+        {
+            ...queryOptions,
+            new: true,
+            runValidators: true
+        }
+    );
+
+    if (!updatedUser) {
+        // If-Match varsa: okuma ile yazma arasında başka biri güncellemiş
+        if (req.get('If-Match')) {
+            throw preconditionFailed(res);
+        }
+        throw new NotFoundError('Kullanıcı bulunamadı', { code: 'USER_NOT_FOUND' });
+    }
+
+    res.set('ETag', entityTag(updatedUser));
+    res.json({
+        success: true,
+        message: req.t('messages.userUpdated'),
+        updatedFields: changedFields,
+        data: updatedUser
+    });
+}
+
+// PUT /api/users/:id - Tam değiştirme: profil alanlarının tamamı gönderilmeli,
+// gönderilmeyen opsiyonel alanlar (phone) silinir. status/role gönderilmezse korunur.
+api.put('/api/users/:id', {
+    summary: 'Kullanıcı bilgilerini tamamen değiştir',
+    params: USER_ID_PARAMS,
+    headers: IF_MATCH_HEADER,
+    description: 'GET cevabı olduğu gibi gönderilebilir; salt okunur alanlar yok sayılır.',
+    body: { $ref: '#/components/schemas/User' },
+    responses: { 200: USER_RESPONSE, 404: 'Kullanıcı bulunamadı', 412: 'ETag eşleşmedi' }
+}, authorize('users:update', { owner: accountOwnerId }), async (req, res, next) => {
     try {
-        const { name, email, age, status, phone } = req.body;
+        const user = await User.findById(req.params.id);
 
-        const updatedUser = await User.findByIdAndUpdate(
-            req.params.id,
-            { name, email, phone, age, status, updatedAt: Date.now() },
-            {
-                new: true,
-                runValidators: true,
-                select: '-__v'
+        if (!user) {
+            throw new NotFoundError('Kullanıcı bulunamadı', { code: 'USER_NOT_FOUND' });
+        }
+
+        if (!ifMatchSatisfied(req, entityTag(user))) {
+            throw preconditionFailed(res, entityTag(user));
+        }
+
+        const replacement = { ...req.body };
+        for (const field of READ_ONLY_USER_FIELDS) {
+            delete replacement[field];
+        }
+        for (const field of Object.keys(PRIVILEGED_USER_FIELDS)) {
+            if (replacement[field] === undefined && user[field] !== undefined) {
+                replacement[field] = user[field];
             }
-        );
+        }
+
+        await saveUserChanges(req, res, user, replacement, REPLACEABLE_USER_FIELDS);
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PATCH /api/users/:id - Kısmi güncelleme
+// application/merge-patch+json (RFC 7386, application/json da bu şekilde yorumlanır)
+// application/json-patch+json (RFC 6902)
+const PATCH_CONTENT_TYPES = ['application/merge-patch+json', 'application/json-patch+json'];
+
+api.patch('/api/users/:id', {
+    summary: 'Kısmi güncelleme (merge-patch veya json-patch)',
+    params: USER_ID_PARAMS,
+    headers: IF_MATCH_HEADER,
+    bodies: {
+        'application/merge-patch+json': { $ref: '#/components/schemas/UserPatch' },
+        'application/json-patch+json': {
+            type: 'array',
+            description: 'RFC 6902',
+            items: {
+                type: 'object',
+                required: ['op', 'path'],
+                properties: {
+                    op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+                    path: { type: 'string' },
+                    from: { type: 'string' },
+                    value: {}
+                }
+            }
+        },
+        // Düz JSON merge-patch olarak uygulanır, aynı şemayla doğrulanır
+        'application/json': { $ref: '#/components/schemas/UserPatch' }
+    },
+    responses: { 200: USER_RESPONSE, 404: 'Kullanıcı bulunamadı', 412: 'ETag eşleşmedi', 415: 'Desteklenmeyen Content-Type' }
+}, authorize('users:update', { owner: accountOwnerId }), async (req, res, next) => {
+    try {
+        const contentType = req.is([...PATCH_CONTENT_TYPES, 'application/json']);
 
-        if (!updatedUser) {
-            return res.status(404).json({
-                success: false,
-                message: 'Kullanıcı bulunamadı'
+        if (!contentType) {
+            res.set('Accept-Patch', PATCH_CONTENT_TYPES.join(', '));
+            throw new UnsupportedMediaTypeError(`Desteklenmeyen Content-Type. Desteklenenler: ${PATCH_CONTENT_TYPES.join(', ')}`, {
+                code: 'UNSUPPORTED_PATCH_TYPE',
+                params: { types: PATCH_CONTENT_TYPES.join(', ') }
             });
         }
 
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            throw new NotFoundError('Kullanıcı bulunamadı', { code: 'USER_NOT_FOUND' });
+        }
+
+        if (!ifMatchSatisfied(req, entityTag(user))) {
+            throw preconditionFailed(res, entityTag(user));
+        }
+
+        const patched = contentType === 'application/json-patch+json'
+            ? applyJsonPatch(toEditableUser(user), req.body)
+            : applyMergePatch(toEditableUser(user), req.body);
+
+        if (patched === null || typeof patched !== 'object' || Array.isArray(patched)) {
+            throw new BadRequestError('Patch sonucu bir nesne olmalıdır', { code: 'INVALID_PATCH_RESULT' });
+        }
+
+        await saveUserChanges(req, res, user, patched);
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET /api/users/:id/history - Değişiklik geçmişi, en yeniden eskiye (page/limit)
+api.get('/api/users/:id/history', {
+    summary: 'Kullanıcının değişiklik geçmişi',
+    params: USER_ID_PARAMS,
+    query: PAGE_QUERY,
+    responses: {
+        200: {
+            description: 'Değişiklik kayıtları (yeniden eskiye)',
+            schema: { type: 'object', properties: { data: { type: 'array', items: { $ref: '#/components/schemas/UserAudit' } } } }
+        },
+        404: 'Kullanıcı bulunamadı'
+    }
+}, authorize('users:history', { owner: accountOwnerId }), async (req, res, next) => {
+    try {
+        const { page: pageNum, limit: limitNum } = req.query;
+
+        const query = { user: req.params.id };
+        const total = await UserAudit.countDocuments(query);
+
+        const entries = await UserAudit.find(query)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .populate('actor', 'name email')
+            .select('-__v -user');
+
+        const totalPages = Math.ceil(total / limitNum);
+        res.set('Link', buildLinkHeader(req, {
+            first: { page: 1 },
+            prev: pageNum > 1 && { page: pageNum - 1 },
+            next: pageNum < totalPages && { page: pageNum + 1 },
+            last: totalPages > 0 && { page: totalPages }
+        }));
+
         res.json({
             success: true,
-            message: 'Kullanıcı başarıyla güncellendi',
-            data: updatedUser
+            count: entries.length,
+            total: total,
+            page: pageNum,
+            totalPages: totalPages,
+            data: entries
         });
 
     } catch (error) {
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                success: false,
-                message: 'Geçersiz kullanıcı ID formatı'
-            });
+        next(error);
+    }
+});
+
+// POST /api/users/:id/revert - Body: { version } (geçmişteki kaydın version değeri).
+// Profil alanları (name, email, phone, age, status, role) o versiyondaki haline döner; If-Match destekler.
+api.post('/api/users/:id/revert', {
+    summary: 'Kullanıcıyı geçmişteki bir versiyona döndür',
+    params: USER_ID_PARAMS,
+    headers: IF_MATCH_HEADER,
+    body: { type: 'object', required: ['version'], properties: { version: { type: 'integer', minimum: 0 } } },
+    responses: { 200: USER_RESPONSE, 404: 'Kullanıcı veya versiyon bulunamadı', 412: 'ETag eşleşmedi' }
+}, authorize('users:revert'), async (req, res, next) => {
+    try {
+        const { version } = req.body;
+
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            throw new NotFoundError('Kullanıcı bulunamadı', { code: 'USER_NOT_FOUND' });
         }
 
-        if (error.name === 'ValidationError') {
-            const validationErrors = Object.values(error.errors).map(err => err.message);
-            return res.status(400).json({
-                success: false,
-                message: 'Validation hatası',
-                errors: validationErrors
-            });
+        if (!ifMatchSatisfied(req, entityTag(user))) {
+            throw preconditionFailed(res, entityTag(user));
         }
 
-        if (error.code === 11000) {
-            return res.status(409).json({
-                success: false,
-                message: 'Bu email adresi zaten kullanılıyor'
-            });
+        const state = await stateAtVersion(user, version);
+        if (!state) {
+            throw new NotFoundError('Geçmişte bu versiyon bulunamadı', { code: 'VERSION_NOT_FOUND' });
         }
 
-        res.status(500).json({
-            success: false,
-            message: 'Kullanıcı güncellenirken hata oluştu',
-            error: error.message
-        });
+        const target = {};
+        for (const field of EDITABLE_USER_FIELDS) {
+            if (state[field] !== null && state[field] !== undefined) {
+                target[field] = state[field];
+            }
+        }
+
+        await saveUserChanges(req, res, user, target, [], { audit: { action: 'revert', revertedTo: version } });
+
+    } catch (error) {
+        next(error);
     }
 });
 
-// DELETE /api/users/:id
-app.delete('/api/users/:id', async (req, res) => {
+// DELETE /api/users/:id - Soft delete; kalıcı silme saklama süresi sonunda purge job ile yapılır
+api.delete('/api/users/:id', {
+    summary: 'Kullanıcıyı çöp kutusuna taşı',
+    params: USER_ID_PARAMS,
+    headers: IF_MATCH_HEADER,
+    responses: { 200: 'Kullanıcı silindi', 404: 'Kullanıcı bulunamadı', 412: 'ETag eşleşmedi' }
+}, authorize('users:delete', { owner: accountOwnerId }), async (req, res, next) => {
     try {
-        const deletedUser = await User.findByIdAndDelete(req.params.id).select('-__v');
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            throw new NotFoundError('Kullanıcı bulunamadı', { code: 'USER_NOT_FOUND' });
+        }
+
+        if (!ifMatchSatisfied(req, entityTag(user))) {
+            throw preconditionFailed(res, entityTag(user));
+        }
+
+        const deletedUser = await User.findOneAndUpdate(
+            conditionalFilter(req, user),
+            { deletedAt: new Date(), deletedBy: req.user.id, updatedAt: Date.now() },
+            { new: true }
+        );
 
         if (!deletedUser) {
-            return res.status(404).json({
-                success: false,
-                message: 'Kullanıcı bulunamadı'
-            });
+            // If-Match varsa: okuma ile yazma arasında başka biri güncellemiş
+            if (req.get('If-Match')) {
+                throw preconditionFailed(res);
+            }
+            throw new NotFoundError('Kullanıcı bulunamadı', { code: 'USER_NOT_FOUND' });
         }
 
+        // Silinen hesabın açık oturumları kapansın
+        await revokeAllRefreshTokens(deletedUser._id);
+
         res.json({
             success: true,
-            message: 'Kullanıcı başarıyla silindi',
+            message: req.t('messages.userTrashed', { days: USER_RETENTION_DAYS }),
             data: deletedUser
         });
 
     } catch (error) {
-        if (error.name === 'CastError') {
-            return res.status(400).json({
-                success: false,
-                message: 'Geçersiz kullanıcı ID formatı'
-            });
-        }
-
-        res.status(500).json({
-            success: false,
-            message: 'Kullanıcı silinirken hata oluştu',
-            error: error.message
-        });
+        next(error);
     }
 });
 
+const DEFAULT_SUMMARY_AGE_BOUNDARIES = [0, 18, 25, 35, 50, 65, 120];
+const DEFAULT_ANALYTICS_AGE_BOUNDARIES = [0, 18, 25, 35, 120];
+
 // GET /api/users/stats/summary
-app.get('/api/users/stats/summary', async (req, res) => {
+// GET /api/users ile aynı filtreler (name, minAge, maxAge, status); ageBoundaries=0,18,25,65&ageLabels=Çocuk,Genç,Yetişkin
+api.get('/api/users/stats/summary', {
+    summary: 'Kullanıcı istatistikleri',
+    query: { ...USER_FILTER_QUERY, ...AGE_BUCKET_QUERY }
+}, authorize('users:stats'), responseCache.route('users:stats', { ttlMs: CACHE_TTL_MS.stats }), async (req, res, next) => {
     try {
-        const stats = await User.aggregate([
-            {
-                $group: {
-                    _id: null,
-                    totalUsers: { $sum: 1 },
-                    averageAge: { $avg: '$age' },
-                    minAge: { $min: '$age' },
-                    maxAge: { $max: '$age' }
-                }
-            },
+        const filter = buildUserFilter(req.query);
+        const boundaries = parseBoundaries(req.query.ageBoundaries, DEFAULT_SUMMARY_AGE_BOUNDARIES);
+        const labels = parseLabels(req.query.ageLabels, boundaries);
+
+        const [stats] = await User.aggregate([
+            { $match: filter },
             {
-                $project: {
-                    _id: 0,
-                    totalUsers: 1,
-                    averageAge: { $round: ['$averageAge', 1] },
-                    minAge: 1,
-                    maxAge: 1
+                $facet: {
+                    summary: [
+                        {
+                            $group: {
+                                _id: null,
+                                totalUsers: { $sum: 1 },
+                                averageAge: { $avg: '$age' },
+                                minAge: { $min: '$age' },
+                                maxAge: { $max: '$age' }
+                            }
+                        },
+                        {
+                            $project: {
+                                _id: 0,
+                                totalUsers: 1,
+                                averageAge: { $round: ['$averageAge', 1] },
+                                minAge: 1,
+                                maxAge: 1
+                            }
+                        }
+                    ],
+                    statusDistribution: [
+                        {
+                            $group: {
+                                _id: '$status',
+                                count: { $sum: 1 }
+                            }
+                        },
+                        {
+                            $sort: { count: -1 }
+                        }
+                    ],
+                    ageGroups: [ageBucketStage(boundaries)]
                 }
             }
         ]);
 
-        const statusStats = await User.aggregate([
-            {
-                $group: {
-                    _id: '$status',
-                    count: { $sum: 1 }
-                }
-            },
-            {
-                $sort: { count: -1 }
+        // generatedAt: önbellekten dönen sonucun ne zaman hesaplandığı
+        res.json({
+            success: true,
+            generatedAt: new Date(),
+            data: {
+                summary: stats.summary[0] || { totalUsers: 0, averageAge: 0, minAge: 0, maxAge: 0 },
+                statusDistribution: stats.statusDistribution,
+                ageGroups: labelAgeBuckets(stats.ageGroups, boundaries, labels, req.t('analytics.otherAgeGroup'))
             }
-        ]);
+        });
 
-        const ageGroups = await User.aggregate([
-            {
-                $bucket: {
-                    groupBy: '$age',
-                    boundaries: [0, 18, 25, 35, 50, 65, 120],
-                    default: 'Other',
-                    output: {
-                        count: { $sum: 1 },
-                        users: { $push: '$name' }
-                    }
-                }
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Tarih aralığı verilmezse interval'e göre varsayılan geriye bakış süresi
+const DEFAULT_STATS_LOOKBACK_MS = {
+    hour: 24 * 60 * 60 * 1000,
+    day: 30 * 24 * 60 * 60 * 1000,
+    week: 12 * 7 * 24 * 60 * 60 * 1000,
+    month: 365 * 24 * 60 * 60 * 1000
+};
+
+async function countRegistrations(from, to, interval, timezone, status) {
+    const match = { createdAt: { $gte: from, $lt: to } };
+    if (status) {
+        match.status = status;
+    }
+
+    const rows = await User.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    $dateTrunc: { date: '$createdAt', unit: interval, timezone, startOfWeek: 'monday' }
+                },
+                count: { $sum: 1 }
             }
-        ]);
+        }
+    ]);
+
+    const buckets = fillBuckets(buildBuckets(from, to, interval, timezone), rows);
+    return {
+        from,
+        to,
+        total: buckets.reduce((sum, bucket) => sum + bucket.count, 0),
+        buckets
+    };
+}
+
+// GET /api/users/stats/registrations?from=&to=&interval=hour|day|week|month&timezone=Europe/Istanbul&status=&compare=previous
+// Aralık [from, to); boş aralıklar 0 ile döner. compare=previous aynı uzunluktaki bir önceki dönemi de ekler.
+api.get('/api/users/stats/registrations', {
+    summary: 'Zamana göre kayıt sayıları',
+    query: {
+        interval: { type: 'string', enum: INTERVALS, default: 'day' },
+        timezone: { type: 'string', default: 'UTC', description: 'IANA saat dilimi, örn. Europe/Istanbul' },
+        status: USER_FILTER_QUERY.status,
+        compare: { type: 'string', enum: ['previous'], description: 'Bir önceki eşit uzunluktaki dönemle karşılaştır' },
+        from: { type: 'string', format: 'date-time' },
+        to: { type: 'string', format: 'date-time' }
+    }
+}, authorize('users:stats'), async (req, res, next) => {
+    try {
+        const { interval, timezone, status, compare } = req.query;
+
+        if (!isValidTimeZone(timezone)) {
+            throw new TimeSeriesError(`Geçersiz saat dilimi: ${timezone} (ör. Europe/Istanbul)`, { code: 'INVALID_TIME_ZONE', params: { timezone } });
+        }
+
+        // from/to route doğrulamasında Date'e çevrilmiş gelir
+        const to = req.query.to || new Date();
+        const from = req.query.from || new Date(to.getTime() - DEFAULT_STATS_LOOKBACK_MS[interval]);
+        if (from >= to) {
+            throw new TimeSeriesError('from, to tarihinden önce olmalıdır');
+        }
+
+        const current = await countRegistrations(from, to, interval, timezone, status);
+
+        let previous;
+        let change;
+        if (compare === 'previous') {
+            const periodMs = to.getTime() - from.getTime();
+            previous = await countRegistrations(new Date(from.getTime() - periodMs), from, interval, timezone, status);
+            change = {
+                absolute: current.total - previous.total,
+                // Önceki dönem 0 ise yüzde tanımsız
+                percent: previous.total === 0
+                    ? null
+                    : Math.round(((current.total - previous.total) / previous.total) * 1000) / 10
+            };
+        }
 
         res.json({
             success: true,
             data: {
-                summary: stats[0] || { totalUsers: 0, averageAge: 0, minAge: 0, maxAge: 0 },
-                statusDistribution: statusStats,
-                ageGroups: ageGroups
+                interval,
+                timezone,
+                status: status || null,
+                ...current,
+                previous,
+                change
             }
         });
 
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'İstatistikler getirilirken hata oluştu',
-            error: error.message
-        });
+        next(error);
     }
 });
 
 // GET /api/users/analytics/advanced
-app.get('/api/users/analytics/advanced', async (req, res) => {
+// GET /api/users ile aynı filtreler; ageBoundaries + ageLabels ile yaş kategorileri, topDomains ile ilk N email domain'i
+api.get('/api/users/analytics/advanced', {
+    summary: 'Filtrelenebilir analitik',
+    query: {
+        ...USER_FILTER_QUERY,
+        ...AGE_BUCKET_QUERY,
+        topDomains: { type: 'integer', minimum: 1, maximum: 100, default: 10 }
+    }
+}, authorize('users:analytics'), responseCache.route('users:analytics', { ttlMs: CACHE_TTL_MS.analytics }), async (req, res, next) => {
     try {
-        const analytics = await User.aggregate([
+        const filter = buildUserFilter(req.query);
+        const boundaries = parseBoundaries(req.query.ageBoundaries, DEFAULT_ANALYTICS_AGE_BOUNDARIES);
+        // Varsayılan etiketler isteğin dilinde; sınır sayısı uymazsa "18-24" biçiminde etiketlenir
+        const labels = parseLabels(req.query.ageLabels, boundaries, req.t('analytics.defaultAgeLabels').split(','));
+        const topDomains = parseTopN(req.query.topDomains);
+
+        const [analytics] = await User.aggregate([
+            { $match: filter },
             {
                 $facet: {
                     overview: [
@@ -546,117 +1501,65 @@ app.get('/api/users/analytics/advanced', async (req, res) => {
                             }
                         }
                     ],
-                    emailDomains: [
-                        {
-                            $project: {
-                                domain: {
-                                    $arrayElemAt: [
-                                        { $split: ['$email', '@'] },
-                                        1
-                                    ]
-                                }
-                            }
-                        },
-                        {
-                            $group: {
-                                _id: '$domain',
-                                count: { $sum: 1 }
-                            }
-                        },
-                        { $sort: { count: -1 } }
-                    ],
-                    ageCategories: [
-                        {
-                            $project: {
-                                name: 1,
-                                age: 1,
-                                category: {
-                                    $switch: {
-                                        branches: [
-                                            { case: { $lt: ['$age', 18] }, then: 'Çocuk' },
-                                            { case: { $lt: ['$age', 25] }, then: 'Genç' },
-                                            { case: { $lt: ['$age', 35] }, then: 'Yetişkin' },
-                                            { case: { $gte: ['$age', 35] }, then: 'Orta Yaş+' }
-                                        ],
-                                        default: 'Diğer'
-                                    }
-                                }
-                            }
-                        },
-                        {
-                            $group: {
-                                _id: '$category',
-                                count: { $sum: 1 },
-                                users: { $push: '$name' }
-                            }
-                        }
-                    ]
+                    ...emailDomainFacets(topDomains),
+                    ageCategories: [ageBucketStage(boundaries)]
                 }
             }
         ]);
 
+        // generatedAt: önbellekten dönen sonucun ne zaman hesaplandığı
         res.json({
             success: true,
-            data: analytics[0]
+            generatedAt: new Date(),
+            data: {
+                overview: analytics.overview,
+                emailDomains: analytics.emailDomains,
+                emailDomainCount: analytics.emailDomainCount[0]?.count || 0,
+                ageCategories: labelAgeBuckets(analytics.ageCategories, boundaries, labels, req.t('analytics.otherAgeGroup'))
+            }
         });
 
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'Analitik veriler getirilirken hata oluştu',
-            error: error.message
-        });
+        next(error);
     }
 });
 
 // 404 Handler
-app.use('*', (req, res) => {
-    res.status(404).json({
-        success: false,
-        message: 'Bu endpoint mevcut değil'
-    });
+app.use('*', (req, res, next) => {
+    next(new NotFoundError('Bu endpoint mevcut değil', {
+        code: 'ROUTE_NOT_FOUND',
+        availableEndpoints: Object.keys(listEndpoints(app))
+    }));
 });
 
-// Global Error Handler
-app.use((error, req, res, next) => {
-    console.error('❌ Hata:', error);
-    res.status(500).json({
-        success: false,
-        message: 'Sunucu hatası oluştu',
-        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+// Global Error Handler - tüm hatalar application/problem+json olarak döner
+app.use(errorHandler);
+
+// Saklama süresi dolan silinmiş kullanıcıları periyodik olarak temizle
+scheduleUserPurge(User);
+
+const PORT = config.http.port;
+const server = app.listen(PORT, () => {
+    // Secret'lar ve URL şifreleri maskelenmiş olarak yazılır
+    logger.debug('Yapılandırma', { config });
+    logger.info('Express.js + MongoDB + RabbitMQ sunucusu çalışıyor', {
+        env: config.env,
+        url: `http://localhost:${PORT}`,
+        docs: `http://localhost:${PORT}/docs`,
+        rabbitmqUi: 'http://localhost:15672',
+        mongoUi: 'http://localhost:8081'
     });
 });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('\n🔄 Sunucu kapatılıyor...');
-    try {
-        if (channel) {
-            await channel.close();
-            console.log('✅ RabbitMQ channel kapatıldı');
-        }
-        if (connection) {
-            await connection.close();
-            console.log('✅ RabbitMQ bağlantısı kapatıldı');
-        }
-    } catch (err) {
-        console.error('❌ RabbitMQ kapatma hatası:', err.message);
+// Graceful shutdown: önce yeni istekler durur, devam edenler ve arka plan işleri biter, en son bağlantılar kapanır
+shutdown.register('http', () => closeServer(server));
+shutdown.register('arka plan import işleri', () => backgroundJobs.drain());
+shutdown.register('rabbitmq', async () => {
+    // channel null ise bağlantı zaten kopmuştur
+    if (channel) {
+        await channel.close();
+        await connection.close();
     }
-    try {
-        await mongoose.connection.close();
-        console.log('✅ MongoDB bağlantısı kapatıldı');
-    } catch (err) {
-        console.error('❌ MongoDB kapatma hatası:', err.message);
-    }
-    process.exit(0);
 });
-
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`\n🚀 Express.js + MongoDB + RabbitMQ sunucusu http://localhost:${PORT} adresinde çalışıyor`);
-    console.log('\n📋 Endpoint\'ler:');
-    console.log('GET    http://localhost:3000/');
-    console.log('POST   http://localhost:3000/api/users');
-    console.log('\n💡 RabbitMQ UI: http://localhost:15672');
-    console.log('💡 MongoDB UI: http://localhost:8081\n');
-});
\ No newline at end of file
+shutdown.register('mongodb', () => mongoose.connection.close());
+shutdown.listen();
@@ -1,110 +1,67 @@
-require('dotenv').config();
+const { config, requireConfig } = require('./lib/config');
+
+requireConfig(['RABBITMQ_URL', 'SMTP_HOST', 'SMTP_USER', 'SMTP_PASS']);
+
+const http = require('http');
 const amqp = require('amqplib');
 const nodemailer = require('nodemailer');
+const { renderEmail } = require('./lib/emailTemplates');
+const { runWithMessageContext } = require('./lib/requestContext');
+const { createLogger } = require('./lib/logger');
+const { PROMETHEUS_CONTENT_TYPE, registry, observeConsume } = require('./lib/metrics');
+const { InFlightTracker, closeServer, createShutdown } = require('./lib/shutdown');
+
+const logger = createLogger({ service: 'email-worker' });
+const shutdown = createShutdown();
 
 // Nodemailer Transport Oluşturma
 const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: parseInt(process.env.SMTP_PORT),
-    secure: process.env.SMTP_SECURE === 'true',
+    host: config.smtp.host,
+    port: config.smtp.port,
+    secure: config.smtp.secure,
     auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
+        user: config.smtp.user,
+        pass: config.smtp.pass
     },
     tls: {
         // Geliştirme ortamında sertifika doğrulamasını atla
-        rejectUnauthorized: process.env.NODE_ENV === 'production'
+        rejectUnauthorized: config.env === 'production'
     }
 });
 
 // RabbitMQ Bağlantı Parametreleri
-const RABBITMQ_URL = process.env.RABBITMQ_URL;
-const EMAIL_QUEUE = 'email-queue';
+const RABBITMQ_URL = config.rabbitmq.url;
+const EMAIL_QUEUE = config.rabbitmq.queues.email;
+
+// Kapanışta consumer iptal edilip kanal kapatılabilsin diye modül seviyesinde tutulur
+let activeConnection = null;
+let activeChannel = null;
+let consumerTag = null;
+// İşlenmekte olan (henüz ack'lenmemiş) mesajlar
+const inFlight = new InFlightTracker();
+let metricsServer = null;
 
 // Email Gönderme Fonksiyonu
 async function sendEmail(emailData) {
     try {
+        // Konu ve gövde alıcının dilinde (emailData.data.locale) üretilir
+        const { subject, html } = renderEmail(emailData);
         const mailOptions = {
-            from: process.env.SMTP_FROM,
+            from: config.smtp.from,
             to: emailData.data.email,
-            subject: getSubject(emailData.action),
-            html: getEmailTemplate(emailData)
+            subject,
+            html
         };
 
         const info = await transporter.sendMail(mailOptions);
-        console.log(`📧 Email gönderildi: ${emailData.data.email} (${info.messageId})`);
+        logger.info('Email gönderildi', { action: emailData.action, userId: emailData.userId, messageId: info.messageId });
         return info;
     } catch (error) {
-        console.error(`❌ Email gönderme hatası (${emailData.data.email}):`, error);
+        logger.error('Email gönderme hatası', { action: emailData.action, userId: emailData.userId, error });
         throw error;
     }
 }
 
-// Email Şablon Seçici
-function getEmailTemplate(emailData) {
-    switch (emailData.action) {
-        case 'email-welcome':
-            return `
-                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
-                    <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-                        <h1 style="color: #2c3e50; text-align: center;">Hoş Geldiniz, ${emailData.data.userName}!</h1>
-                        <p style="color: #34495e; line-height: 1.6;">
-                            Platformumuza kayıt olduğunuz için teşekkür ederiz. Hesabınız başarıyla oluşturuldu ve kullanıma hazır durumda.
-                        </p>
-                        <div style="text-align: center; margin-top: 30px;">
-                            <a href="#" style="background-color: #3498db; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px;">
-                                Hesabımı Yönet
-                            </a>
-                        </div>
-                    </div>
-                    <p style="text-align: center; color: #7f8c8d; margin-top: 15px; font-size: 12px;">
-                        Bu email otomatik olarak gönderilmiştir. Lütfen yanıtlamayınız.
-                    </p>
-                </div>
-            `;
-        
-        case 'password-reset':
-            return `
-                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
-                    <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-                        <h1 style="color: #2c3e50; text-align: center;">Şifre Sıfırlama</h1>
-                        <p style="color: #34495e; line-height: 1.6;">
-                            Şifre sıfırlama talebiniz alınmıştır. Aşağıdaki butona tıklayarak şifrenizi sıfırlayabilirsiniz.
-                        </p>
-                        <div style="text-align: center; margin-top: 30px;">
-                            <a href="${emailData.data.resetLink}" style="background-color: #e74c3c; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px;">
-                                Şifremi Sıfırla
-                            </a>
-                        </div>
-                        <p style="color: #7f8c8d; font-size: 12px; text-align: center; margin-top: 15px;">
-                            Bu linkin geçerlilik süresi 1 saat kadardır.
-                        </p>
-                    </div>
-                </div>
-            `;
-        
-        default:
-            return `
-                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-                    <h1>Sistem Bildirimi</h1>
-                    <p>Detaylı bir email şablonu bulunamadı.</p>
-                </div>
-            `;
-    }
-}
-
-// Email Konusu Belirleyici
-function getSubject(action) {
-    switch (action) {
-        case 'email-welcome':
-            return 'Platformumuza Hoş Geldiniz!';
-        case 'password-reset':
-            return 'Şifre Sıfırlama Talebi';
-        default:
-            return 'Sistem Bildirimi';
-    }
-}
-
 // RabbitMQ Bağlantısı ve Tüketici Kurulumu
 async function setupEmailConsumer() {
     try {
@@ -114,54 +71,70 @@ async function setupEmailConsumer() {
         // Kuyruk oluştur (durable: true - kuyruk kalıcı olsun)
         await channel.assertQueue(EMAIL_QUEUE, { durable: true });
 
-        // Aynı anda 1 mesaj işle (prefetch)
-        channel.prefetch(1);
+        // Aynı anda işlenecek mesaj sayısı (RABBITMQ_PREFETCH, varsayılan 1)
+        channel.prefetch(config.rabbitmq.prefetch);
 
-        console.log('📬 Email Worker çalışıyor. Mesaj bekleniyor...');
+        logger.info('Email worker çalışıyor, mesaj bekleniyor', { queue: EMAIL_QUEUE });
+
+        // Mesajı yayınlayan isteğin id'si (x-request-id header'ı) bu mesajın tüm loglarına eklenir
+        const consumer = await channel.consume(EMAIL_QUEUE, (msg) => {
+            if (msg === null) {
+                return;
+            }
 
-        channel.consume(EMAIL_QUEUE, async (msg) => {
-            if (msg !== null) {
+            return inFlight.track(() => runWithMessageContext(msg, async () => {
                 try {
-                    const emailData = JSON.parse(msg.content.toString());
-                    console.log('📨 Yeni email talebi alındı:', emailData.action);
+                    await observeConsume(EMAIL_QUEUE, async () => {
+                        const emailData = JSON.parse(msg.content.toString());
+                        logger.info('Yeni email talebi alındı', { action: emailData.action, userId: emailData.userId });
+
+                        await sendEmail(emailData);
+                    });
 
-                    await sendEmail(emailData);
-                    
                     // Mesajı onaylama (kuyruktan çıkarma)
                     channel.ack(msg);
                 } catch (error) {
-                    console.error('❌ Email işleme hatası:', error);
+                    logger.error('Email işleme hatası', { error });
                     // Hata durumunda mesajı geri gönder
                     channel.nack(msg, false, false);
                 }
-            }
+            }));
         });
+        activeConnection = connection;
+        activeChannel = channel;
+        consumerTag = consumer.consumerTag;
 
-        // Bağlantı kapanırsa tekrar bağlanmayı dene
+        // Bağlantı kapanırsa tekrar bağlanmayı dene (kapanış sırasında değil)
         connection.on('close', () => {
-            console.error('❌ RabbitMQ bağlantısı kapandı. Yeniden bağlanılıyor...');
-            setTimeout(setupEmailConsumer, 5000);
+            activeChannel = null;
+            if (shutdown.isShuttingDown()) {
+                return;
+            }
+            logger.error('RabbitMQ bağlantısı kapandı, yeniden bağlanılıyor');
+            setTimeout(setupEmailConsumer, config.rabbitmq.reconnectDelayMs);
         });
 
     } catch (error) {
-        console.error('❌ Email worker bağlantı hatası:', error);
-        // Hata durumunda 5 saniye sonra tekrar bağlanmayı dene
-        setTimeout(setupEmailConsumer, 5000);
+        logger.error('Email worker bağlantı hatası', { error });
+        // Hata durumunda bir süre sonra tekrar bağlanmayı dene
+        if (!shutdown.isShuttingDown()) {
+            setTimeout(setupEmailConsumer, config.rabbitmq.reconnectDelayMs);
+        }
     }
 }
 
 async function testSmtpConnection() {
     try {
-        console.log('SMTP Test Başlatılıyor...');
-        console.log('SMTP Ayarları:');
-        console.log('Host:', process.env.SMTP_HOST);
-        console.log('Port:', process.env.SMTP_PORT);
-        console.log('Kullanıcı:', process.env.SMTP_USER);
-        console.log('Secure:', process.env.SMTP_SECURE);
+        logger.info('SMTP testi başlatılıyor', {
+            host: config.smtp.host,
+            port: config.smtp.port,
+            user: config.smtp.user,
+            secure: config.smtp.secure
+        });
 
         const testInfo = await transporter.sendMail({
-            from: process.env.SMTP_FROM,
-            to: process.env.SMTP_USER, // Kendi mailınıza test
+            from: config.smtp.from,
+            to: config.smtp.user, // Kendi mailınıza test
             subject: 'SMTP Bağlantı Testi',
             html: `
                 <h1>SMTP Bağlantı Testi</h1>
@@ -170,33 +143,60 @@ async function testSmtpConnection() {
             `
         });
 
-        console.log('🟢 Test Email Gönderildi!');
-        console.log('Message ID:', testInfo.messageId);
-        console.log('Response:', testInfo);
+        logger.info('SMTP test emaili gönderildi', { messageId: testInfo.messageId, response: testInfo.response });
     } catch (error) {
-        console.error('🔴 SMTP Test Hatası:', error);
-        console.error('Hata Detayları:');
-        console.error('Adı:', error.name);
-        console.error('Mesaj:', error.message);
-        
         // Yaygın hata senaryoları için özel açıklamalar
-        if (error.code === 'EAUTH') {
-            console.error('🔐 Kimlik doğrulama hatası. Kullanıcı adı veya şifre yanlış olabilir.');
-        }
-        if (error.code === 'ECONNREFUSED') {
-            console.error('🌐 Bağlantı reddedildi. SMTP sunucusu çalışmıyor veya yanlış host/port kullanılıyor.');
-        }
+        const hint = {
+            EAUTH: 'Kimlik doğrulama hatası. Kullanıcı adı veya şifre yanlış olabilir.',
+            ECONNREFUSED: 'Bağlantı reddedildi. SMTP sunucusu çalışmıyor veya yanlış host/port kullanılıyor.'
+        }[error.code];
+
+        logger.error('SMTP test hatası', { error, hint });
+    }
+}
+
+// Worker'ın HTTP API'si yok; METRICS_PORT verilirse Prometheus için /metrics ve /healthz açılır
+function startMetricsServer() {
+    const { port } = config.metrics;
+    if (!port) {
+        return;
     }
+
+    metricsServer = http.createServer((req, res) => {
+        if (req.url === '/metrics') {
+            res.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE });
+            res.end(registry.render());
+        } else if (req.url === '/healthz') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'ok', uptime: process.uptime() }));
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    }).listen(port, () => logger.info('Metrics sunucusu çalışıyor', { port }));
 }
 
 // Hemen çağır
 testSmtpConnection();
+startMetricsServer();
 
 // Çalıştırma
 setupEmailConsumer();
 
-// Graceful Shutdown
-process.on('SIGINT', async () => {
-    console.log('\n🔄 Email Worker kapatılıyor...');
-    process.exit(0);
-});
\ No newline at end of file
+// Graceful shutdown: yeni mesaj almayı durdur, işlenen email'lerin ack'lenmesini bekle, sonra kanalı kapat.
+// Süre içinde bitmeyen mesajlar ack'lenmediği için RabbitMQ tarafından başka worker'a tekrar verilir.
+shutdown.register('rabbitmq: consumer durduruldu', async () => {
+    if (activeChannel) {
+        await activeChannel.cancel(consumerTag);
+    }
+});
+shutdown.register('işlenen email\'ler', () => inFlight.drain());
+shutdown.register('rabbitmq', async () => {
+    // activeChannel null ise bağlantı zaten kopmuştur
+    if (activeChannel) {
+        await activeChannel.close();
+        await activeConnection.close();
+    }
+});
+shutdown.register('metrics sunucusu', () => metricsServer && closeServer(metricsServer));
+shutdown.listen();
\ No newline at end of file
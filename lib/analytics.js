@@ -0,0 +1,125 @@
+// lib/analytics.js - İstatistik/analitik endpoint'leri için parametre okuma ve aggregate aşamaları
+const { BadRequestError } = require('./errors');
+
+const MAX_BOUNDARIES = 50;
+const DEFAULT_TOP_DOMAINS = 10;
+const MAX_TOP_DOMAINS = 100;
+
+class AnalyticsError extends BadRequestError {
+    // options: { code, params }; code verilmezse genel INVALID_ANALYTICS_QUERY kodu kullanılır
+    constructor(message, { code = 'INVALID_ANALYTICS_QUERY', params } = {}) {
+        super(message, { code, params });
+    }
+}
+
+// "0,18,25,65" -> [0, 18, 25, 65]; artan sırada tam sayılar olmalı
+function parseBoundaries(value, defaultBoundaries) {
+    if (value === undefined) {
+        return defaultBoundaries;
+    }
+
+    const boundaries = String(value).split(',').map(part => Number(part.trim()));
+    if (boundaries.length < 2 || boundaries.length > MAX_BOUNDARIES) {
+        throw new AnalyticsError(`Sınır listesi 2 ile ${MAX_BOUNDARIES} arasında değer içermelidir`, { code: 'INVALID_BOUNDARY_COUNT', params: { max: MAX_BOUNDARIES } });
+    }
+    if (boundaries.some(boundary => !Number.isInteger(boundary))) {
+        throw new AnalyticsError('Sınırlar tam sayı olmalıdır (ör. 0,18,25,35,65,120)', { code: 'INVALID_BOUNDARIES' });
+    }
+    if (boundaries.some((boundary, index) => index > 0 && boundary <= boundaries[index - 1])) {
+        throw new AnalyticsError('Sınırlar artan sırada olmalıdır', { code: 'UNSORTED_BOUNDARIES' });
+    }
+    return boundaries;
+}
+
+// "Çocuk,Genç,Yetişkin" -> her aralık için bir etiket
+function parseLabels(value, boundaries, defaultLabels) {
+    if (value === undefined) {
+        return defaultLabels && defaultLabels.length === boundaries.length - 1 ? defaultLabels : null;
+    }
+
+    const labels = String(value).split(',').map(label => label.trim());
+    if (labels.length !== boundaries.length - 1 || labels.some(label => !label)) {
+        throw new AnalyticsError(`${boundaries.length - 1} aralık için ${boundaries.length - 1} etiket gönderilmelidir`, {
+            code: 'LABEL_COUNT_MISMATCH',
+            params: { count: boundaries.length - 1 }
+        });
+    }
+    return labels;
+}
+
+function parseTopN(value, defaultValue = DEFAULT_TOP_DOMAINS) {
+    if (value === undefined) {
+        return defaultValue;
+    }
+    const topN = Number(value);
+    if (!Number.isInteger(topN) || topN < 1 || topN > MAX_TOP_DOMAINS) {
+        throw new AnalyticsError(`top 1 ile ${MAX_TOP_DOMAINS} arasında bir tam sayı olmalıdır`, { code: 'INVALID_TOP', params: { max: MAX_TOP_DOMAINS } });
+    }
+    return topN;
+}
+
+// $bucket'ta sınırların dışında kalanlar ve yaşı olmayanlar bu id ile döner; etiketi labelAgeBuckets verir
+const OTHER_BUCKET = 'other';
+
+function ageBucketStage(boundaries) {
+    return {
+        $bucket: {
+            groupBy: '$age',
+            boundaries,
+            default: OTHER_BUCKET,
+            output: {
+                count: { $sum: 1 }
+            }
+        }
+    };
+}
+
+// $bucket sonucunu boş aralıklar dahil sınır sırasına göre etiketli listeye çevir.
+// otherLabel: aralık dışı kalanların isteğin dilindeki etiketi (req.t('analytics.otherAgeGroup'))
+function labelAgeBuckets(rows, boundaries, labels, otherLabel) {
+    const counts = new Map(rows.map(row => [row._id, row.count]));
+
+    const buckets = boundaries.slice(0, -1).map((min, index) => ({
+        label: labels ? labels[index] : `${min}-${boundaries[index + 1] - 1}`,
+        min,
+        max: boundaries[index + 1],
+        count: counts.get(min) || 0
+    }));
+
+    if (counts.has(OTHER_BUCKET)) {
+        buckets.push({ label: otherLabel, min: null, max: null, count: counts.get(OTHER_BUCKET) });
+    }
+    return buckets;
+}
+
+// Email domain'lerine göre ilk N; toplam farklı domain sayısı ayrıca döner
+function emailDomainFacets(topN) {
+    const domainStage = {
+        $group: {
+            _id: { $toLower: { $arrayElemAt: [{ $split: ['$email', '@'] }, 1] } },
+            count: { $sum: 1 }
+        }
+    };
+
+    return {
+        emailDomains: [
+            domainStage,
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: topN }
+        ],
+        emailDomainCount: [
+            domainStage,
+            { $count: 'count' }
+        ]
+    };
+}
+
+module.exports = {
+    AnalyticsError,
+    parseBoundaries,
+    parseLabels,
+    parseTopN,
+    ageBucketStage,
+    labelAgeBuckets,
+    emailDomainFacets
+};
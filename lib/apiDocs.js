@@ -0,0 +1,390 @@
+// lib/apiDocs.js - Route tanımlarından OpenAPI 3 dokümanı, docs sayfası ve endpoint listesi üretimi
+//
+// Route'lar app/router yerine documented() ile tanımlanır:
+//   const api = documented(app);
+//   api.get('/api/users/:id', { summary: 'Kullanıcıyı getir', query: {...} }, handler);
+// Kimlik doğrulama ve yetki bilgisi route'a eklenen authenticate/authorize middleware'lerinden okunur.
+// params/query/body tanımlanmışsa son handler'dan (önbellekli route'larda önbellek middleware'inden) önce
+// lib/validation.js doğrulaması eklenir.
+//
+// Meta alanları: summary, description, tags, params/query/headers ({ ad: { ...jsonSchema, required, description } }),
+// body (JSON Schema) + bodyContentTypes, içerik tipine göre farklı şema için bodies ({ 'application/json-patch+json': şema }),
+// bodyRequired, responses ({ 201: 'Açıklama' } veya { 200: { description, schema, contentType } })
+
+const { validateRequest } = require('./validation');
+const { PROBLEM_CONTENT_TYPE } = require('./errors');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const OBJECT_ID_SCHEMA = { type: 'string', format: 'objectid', pattern: '^[0-9a-fA-F]{24}$' };
+
+// Middleware'ler üzerindeki işaretlerden (authScheme, permission) doküman bilgisi çıkar
+function describeHandlers(handlers) {
+    const info = {};
+    for (const handler of handlers) {
+        if (handler.authScheme) {
+            info.auth = handler.authScheme;
+        }
+        if (handler.permission) {
+            info.permission = handler.permission;
+            info.owner = Boolean(handler.allowsOwner);
+        }
+    }
+    return info;
+}
+
+// app veya express.Router için route tanımlayıp meta bilgisini target.apiRoutes'ta saklayan sarmalayıcı
+function documented(target) {
+    target.apiRoutes = target.apiRoutes || [];
+    // app.use(prefix, authenticate, ...) ile eklenen ortak middleware'ler
+    target.apiPrefixes = target.apiPrefixes || [];
+
+    const api = {
+        routes: target.apiRoutes
+    };
+
+    for (const method of METHODS) {
+        api[method] = (path, meta, ...handlers) => {
+            target.apiRoutes.push({ method, path, ...describeHandlers(handlers), ...meta });
+
+            // Doğrulama, yetki kontrolü ve route'a özel body parser'lardan sonra çalışır.
+            // Önbellek middleware'inden önce olmalı: geçersiz sorgular önbellekten cevaplanmasın,
+            // anahtar doğrulanmış ve tiplendirilmiş query'den üretilsin.
+            const validator = validateRequest(meta);
+            if (validator) {
+                const cacheIndex = handlers.findIndex(handler => handler.cacheNamespace);
+                handlers.splice(cacheIndex === -1 ? handlers.length - 1 : cacheIndex, 0, validator);
+            }
+
+            target[method](path, ...handlers);
+            return api;
+        };
+    }
+
+    // Alt router mount edilirse route'ları prefix ile birlikte kopyalanır;
+    // sadece middleware verilirse altındaki tüm route'lara uygulanan bilgi olarak saklanır.
+    api.use = (prefix, ...handlers) => {
+        target.use(prefix, ...handlers);
+
+        const router = handlers[handlers.length - 1];
+        const inherited = describeHandlers(handlers);
+        if (router && Array.isArray(router.apiRoutes)) {
+            for (const route of router.apiRoutes) {
+                target.apiRoutes.push({
+                    ...inherited,
+                    ...route,
+                    path: route.path === '/' ? prefix : `${prefix}${route.path}`
+                });
+            }
+        } else {
+            target.apiPrefixes.push({ prefix, ...inherited });
+        }
+        return api;
+    };
+
+    return api;
+}
+
+// app.use('/api/users', authenticate) gibi ortak middleware bilgisini route'a uygula
+function resolveRoute(target, route) {
+    const inherited = target.apiPrefixes
+        .filter(({ prefix }) => route.path === prefix || route.path.startsWith(`${prefix}/`))
+        .reduce((info, { prefix, ...rest }) => ({ ...info, ...rest }), {});
+    return { ...inherited, ...route };
+}
+
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParams(path) {
+    return [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+}
+
+// "/api/users/..." -> "users", "/" -> "genel"
+function defaultTag(path) {
+    const segments = path.split('/').filter(Boolean);
+    if (segments.length === 0 || (segments[0] === 'api' && segments.length === 1)) {
+        return 'genel';
+    }
+    return segments[0] === 'api' ? segments[1] : segments[0];
+}
+
+// { page: { type: 'integer', required: true, description } } -> OpenAPI parameter listesi
+function toParameters(location, definitions = {}) {
+    return Object.entries(definitions).map(([name, { required, description, ...schema }]) => ({
+        name,
+        in: location,
+        required: location === 'path' ? true : Boolean(required),
+        ...(description && { description }),
+        schema
+    }));
+}
+
+const PROBLEM_CONTENT = { [PROBLEM_CONTENT_TYPE]: { schema: { $ref: '#/components/schemas/Problem' } } };
+
+// Hata cevapları (4xx/5xx) için şema verilmemişse Problem şeması kullanılır
+function toResponse(response, status) {
+    if (typeof response === 'string') {
+        return { description: response, ...(status >= 400 && { content: PROBLEM_CONTENT }) };
+    }
+    const { description, schema, contentType = 'application/json' } = response;
+    return {
+        description,
+        ...(schema && { content: { [contentType]: { schema } } })
+    };
+}
+
+function buildOperation(route) {
+    const permissionNote = route.permission
+        ? `Gerekli izin: \`${route.permission}\`${route.owner ? ' (hesabın sahibi için gerekmez)' : ''}`
+        : null;
+
+    const operation = {
+        summary: route.summary,
+        ...((route.description || permissionNote) && {
+            description: [route.description, permissionNote].filter(Boolean).join('\n\n')
+        }),
+        tags: route.tags || [defaultTag(route.path)],
+        parameters: [
+            ...toParameters('path', Object.fromEntries(pathParams(route.path).map(name => [
+                name,
+                route.params?.[name] || { type: 'string' }
+            ]))),
+            ...toParameters('query', route.query),
+            ...toParameters('header', route.headers)
+        ]
+    };
+
+    if (route.body || route.bodies) {
+        const bodies = route.bodies || Object.fromEntries((route.bodyContentTypes || ['application/json']).map(type => [
+            type,
+            type.includes('json') ? route.body : { type: 'string' }
+        ]));
+        operation.requestBody = {
+            required: route.bodyRequired !== false,
+            content: Object.fromEntries(Object.entries(bodies).map(([type, schema]) => [type, { schema }]))
+        };
+    }
+
+    const responses = Object.fromEntries(
+        Object.entries(route.responses || { 200: 'Başarılı' }).map(([status, response]) => [status, toResponse(response, Number(status))])
+    );
+    if (route.params || route.query || route.body || route.bodies) {
+        responses[400] = responses[400] || { $ref: '#/components/responses/BadRequest' };
+    }
+    if (route.auth) {
+        responses[401] = { $ref: '#/components/responses/Unauthorized' };
+        operation.security = route.auth === 'user'
+            ? [{ bearerAuth: [] }]
+            : [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+    }
+    if (route.permission) {
+        responses[403] = { $ref: '#/components/responses/Forbidden' };
+    }
+    operation.responses = responses;
+
+    return operation;
+}
+
+// RFC 7807 hata cevabı (lib/errors.js toProblem)
+const PROBLEM_SCHEMA = {
+    type: 'object',
+    properties: {
+        type: { type: 'string', example: 'urn:problem-type:user-not-found' },
+        title: { type: 'string', example: 'Not Found' },
+        status: { type: 'integer', example: 404 },
+        detail: { type: 'string' },
+        instance: { type: 'string', example: '/api/users/64b7f0c2e4a1b2c3d4e5f678' },
+        code: { type: 'string', description: 'Sabit hata kodu', example: 'USER_NOT_FOUND' },
+        requestId: { type: 'string' },
+        errors: {
+            type: 'array',
+            description: 'Doğrulama hatalarında alan bazlı liste',
+            items: {
+                type: 'object',
+                properties: {
+                    in: { type: 'string', enum: ['params', 'query', 'body'] },
+                    field: { type: 'string' },
+                    code: { type: 'string', example: 'REQUIRED' },
+                    message: { type: 'string' }
+                }
+            }
+        },
+        success: { type: 'boolean', example: false }
+    }
+};
+
+// info: { title, version, description }, schemas: components.schemas
+function buildOpenApiSpec(target, { info, schemas = {} }) {
+    const paths = {};
+    for (const route of target.apiRoutes.map(route => resolveRoute(target, route))) {
+        const path = toOpenApiPath(route.path);
+        paths[path] = paths[path] || {};
+        paths[path][route.method] = buildOperation(route);
+    }
+
+    return {
+        openapi: '3.0.3',
+        info,
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+                apiKeyAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'Authorization',
+                    description: 'Değer "ApiKey <anahtar>" formatında gönderilir'
+                }
+            },
+            schemas: {
+                Problem: PROBLEM_SCHEMA,
+                ...schemas
+            },
+            responses: {
+                BadRequest: { description: 'Geçersiz istek', content: PROBLEM_CONTENT },
+                Unauthorized: { description: 'Kimlik doğrulaması gerekli', content: PROBLEM_CONTENT },
+                Forbidden: { description: 'Yetki yok', content: PROBLEM_CONTENT }
+            }
+        }
+    };
+}
+
+// GET / ve 404 cevaplarındaki liste: { 'GET /api/users': 'Kullanıcıları listele' }
+function listEndpoints(target) {
+    const endpoints = {};
+    for (const route of target.apiRoutes.map(route => resolveRoute(target, route))) {
+        const access = route.permission
+            ? (route.owner ? ' (sahibi veya yetkili)' : ` (${route.permission})`)
+            : '';
+        endpoints[`${route.method.toUpperCase()} ${route.path}`] = `${route.summary}${access}`;
+    }
+    return endpoints;
+}
+
+function unwrapOption(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function pathToJsonSchema(schemaType) {
+    const options = schemaType.options || {};
+    let jsonSchema;
+
+    switch (schemaType.instance) {
+        case 'String':
+            jsonSchema = { type: 'string' };
+            if (schemaType.enumValues && schemaType.enumValues.length > 0) {
+                jsonSchema.enum = schemaType.enumValues;
+            }
+            if (options.minlength !== undefined) {
+                jsonSchema.minLength = unwrapOption(options.minlength);
+            }
+            if (options.maxlength !== undefined) {
+                jsonSchema.maxLength = unwrapOption(options.maxlength);
+            }
+            if (options.match) {
+                jsonSchema.pattern = unwrapOption(options.match).source;
+            }
+            break;
+        case 'Number':
+            jsonSchema = { type: 'number' };
+            if (options.min !== undefined) {
+                jsonSchema.minimum = unwrapOption(options.min);
+            }
+            if (options.max !== undefined) {
+                jsonSchema.maximum = unwrapOption(options.max);
+            }
+            break;
+        case 'Boolean':
+            jsonSchema = { type: 'boolean' };
+            break;
+        case 'Date':
+            jsonSchema = { type: 'string', format: 'date-time' };
+            break;
+        case 'ObjectId':
+            jsonSchema = { ...OBJECT_ID_SCHEMA };
+            break;
+        case 'Array':
+            jsonSchema = {
+                type: 'array',
+                items: schemaType.schema
+                    ? mongooseToJsonSchema(schemaType.schema)
+                    : schemaType.caster ? pathToJsonSchema(schemaType.caster) : {}
+            };
+            break;
+        case 'Embedded':
+            jsonSchema = mongooseToJsonSchema(schemaType.schema);
+            break;
+        default:
+            jsonSchema = {};
+    }
+
+    if (options.default !== undefined && typeof options.default !== 'function') {
+        jsonSchema.default = options.default;
+        if (options.default === null) {
+            jsonSchema.nullable = true;
+        }
+    }
+    return jsonSchema;
+}
+
+// Mongoose şemasından JSON Schema. select:false alanlar (şifre, arama alanları) varsayılan olarak dahil edilmez.
+// only: sadece bu alanlar, exclude: bu alanlar hariç, required: zorunlu alan listesini ezmek için
+function mongooseToJsonSchema(schema, { only, exclude = [], required } = {}) {
+    const properties = {};
+    const requiredFields = [];
+
+    schema.eachPath((path, schemaType) => {
+        if (path === '__v' || path.includes('.') || exclude.includes(path)) {
+            return;
+        }
+        if (only ? !only.includes(path) : schemaType.options?.select === false) {
+            return;
+        }
+
+        properties[path] = pathToJsonSchema(schemaType);
+        if (path === '_id') {
+            properties[path].readOnly = true;
+        }
+        if (schemaType.isRequired) {
+            requiredFields.push(path);
+        }
+    });
+
+    const finalRequired = required || requiredFields;
+    return {
+        type: 'object',
+        properties,
+        ...(finalRequired.length > 0 && { required: finalRequired })
+    };
+}
+
+// Swagger UI (CDN) ile etkileşimli doküman sayfası
+function docsPage({ title, specUrl }) {
+    return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${title}</title>
+    <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js" crossorigin></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: '${specUrl}', dom_id: '#swagger-ui', persistAuthorization: true });
+    </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+    OBJECT_ID_SCHEMA,
+    documented,
+    buildOpenApiSpec,
+    listEndpoints,
+    mongooseToJsonSchema,
+    docsPage
+};
@@ -0,0 +1,62 @@
+// lib/apiKeys.js - API anahtarı üretimi, doğrulama ve scope kontrolü
+const ApiKey = require('../models/apiKey');
+const { hashToken, generateToken } = require('./tokens');
+const { PERMISSIONS, insufficientScope } = require('./permissions');
+const { logger } = require('./logger');
+
+const API_KEY_PREFIX = 'uk';
+// lastUsedAt her istekte değil, en fazla bu aralıkla yazılır
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// users:read / users:write: /api/users altındaki okuma/yazma route'ları.
+// Diğerleri authorize() izinleriyle aynı isimde. Anahtar yönetimi bir anahtara verilemez.
+const API_KEY_SCOPES = [
+    'users:read',
+    'users:write',
+    ...Object.keys(PERMISSIONS).filter(permission => permission !== 'api-keys:manage')
+];
+
+// "uk_<8 hex>_<48 hex>"; prefix listede anahtarı ayırt etmek için açık saklanır
+function generateApiKey() {
+    const prefix = generateToken(4);
+    const key = `${API_KEY_PREFIX}_${prefix}_${generateToken(24)}`;
+    return { key, prefix, keyHash: hashToken(key) };
+}
+
+// İptal edilmemiş ve süresi dolmamış anahtarı döner, yoksa null
+async function findActiveApiKey(rawKey, ip) {
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey), revokedAt: null });
+    if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+        return null;
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+        ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip })
+            .catch(error => logger.error('API anahtarı kullanım zamanı yazılamadı', { error, apiKeyId: apiKey._id }));
+    }
+
+    return apiKey;
+}
+
+// API anahtarıyla gelen isteklerde HTTP metoduna göre scope ister; kullanıcı token'larını etkilemez.
+// scopesByMethod: { GET: 'users:read', default: 'users:write' }
+function requireApiKeyScope(scopesByMethod) {
+    return (req, res, next) => {
+        if (!req.apiKey) {
+            return next();
+        }
+
+        const scope = scopesByMethod[req.method] || scopesByMethod.default;
+        if (!req.apiKey.scopes.includes(scope)) {
+            return next(insufficientScope(scope));
+        }
+        next();
+    };
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    generateApiKey,
+    findActiveApiKey,
+    requireApiKeyScope
+};
@@ -0,0 +1,61 @@
+// lib/apiSchemas.js - OpenAPI components.schemas; model şemalarından üretildiği için alan kuralları tek yerde kalır
+const ImportJob = require('../models/importJob');
+const UserAudit = require('../models/userAudit');
+const ApiKey = require('../models/apiKey');
+const { mongooseToJsonSchema } = require('./apiDocs');
+
+// İstemcinin gönderebileceği kullanıcı alanları (role/status gibi yetkili alanlar hariç)
+const USER_INPUT_FIELDS = ['name', 'email', 'phone', 'age', 'locale'];
+
+// RFC 7396: merge patch'te null alanı siler, hiçbir alan zorunlu değildir
+function toMergePatchSchema(schema) {
+    const properties = {};
+    for (const [name, property] of Object.entries(schema.properties)) {
+        properties[name] = { ...property, nullable: true };
+    }
+    return { type: 'object', description: 'RFC 7396; null değer alanı siler', properties };
+}
+
+// User modeli her sunucuda ayrı tanımlandığı için parametre olarak alınır
+function buildApiSchemas({ User }) {
+    return {
+        User: mongooseToJsonSchema(User.schema),
+        UserInput: mongooseToJsonSchema(User.schema, {
+            only: [...USER_INPUT_FIELDS, 'status', 'role'],
+            required: ['name', 'email', 'age']
+        }),
+        UserPatch: toMergePatchSchema(mongooseToJsonSchema(User.schema, {
+            only: [...USER_INPUT_FIELDS, 'status', 'role'],
+            required: []
+        })),
+        RegisterInput: mongooseToJsonSchema(User.schema, {
+            only: [...USER_INPUT_FIELDS, 'password'],
+            required: ['name', 'email', 'age', 'password']
+        }),
+        TokenPair: {
+            type: 'object',
+            properties: {
+                tokenType: { type: 'string', example: 'Bearer' },
+                accessToken: { type: 'string' },
+                refreshToken: { type: 'string' },
+                expiresIn: { type: 'string' }
+            }
+        },
+        AuthResponse: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                message: { type: 'string' },
+                data: { $ref: '#/components/schemas/User' },
+                tokens: { $ref: '#/components/schemas/TokenPair' }
+            }
+        },
+        ImportJob: mongooseToJsonSchema(ImportJob.schema),
+        UserAudit: mongooseToJsonSchema(UserAudit.schema),
+        ApiKey: mongooseToJsonSchema(ApiKey.schema, { exclude: ['keyHash'] })
+    };
+}
+
+module.exports = {
+    buildApiSchemas
+};
@@ -0,0 +1,146 @@
+// lib/audit.js - User değişikliklerini alan bazlı önce/sonra farkıyla kaydeden Mongoose plugin'i ve geri alma yardımcıları
+const UserAudit = require('../models/userAudit');
+const { getRequestContext } = require('./requestContext');
+const { logger } = require('./logger');
+
+// Geçmişte izlenen alanlar
+const AUDITED_FIELDS = ['name', 'email', 'phone', 'age', 'locale', 'status', 'role', 'emailVerifiedAt', 'phoneVerifiedAt', 'deletedAt', 'deletedBy'];
+// Değiştiği kaydedilir ama değeri yazılmaz
+const REDACTED_FIELDS = ['password'];
+
+const AUDIT_PROJECTION = Object.fromEntries([...AUDITED_FIELDS, '__v'].map(field => [field, 1]));
+
+// Date/ObjectId/eksik değerleri karşılaştırılabilir hale getir
+function comparable(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    if (typeof value === 'object' && typeof value.toHexString === 'function') {
+        return value.toHexString();
+    }
+    return value;
+}
+
+function diffFields(before, after) {
+    return AUDITED_FIELDS
+        .filter(field => comparable(before[field]) !== comparable(after[field]))
+        .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+function resolveAction(before, after) {
+    if (!before) {
+        return 'create';
+    }
+    if (!before.deletedAt && after.deletedAt) {
+        return 'delete';
+    }
+    if (before.deletedAt && !after.deletedAt) {
+        return 'restore';
+    }
+    return 'update';
+}
+
+// Audit yazılamazsa asıl işlem başarısız sayılmaz, hata loglanır
+async function recordAudit(context, userId, before, after, { changes = [], action, revertedTo } = {}) {
+    const allChanges = [...diffFields(before || {}, after), ...changes];
+    if (before && allChanges.length === 0) {
+        return;
+    }
+
+    try {
+        await UserAudit.create({
+            user: userId,
+            action: action || resolveAction(before, after),
+            changes: allChanges,
+            version: after.__v,
+            revertedTo,
+            actor: context?.req?.user?.id,
+            apiKey: context?.req?.apiKey?.id,
+            requestId: context?.requestId
+        });
+    } catch (error) {
+        logger.error('Audit kaydı yazılamadı', { error, userId });
+    }
+}
+
+// Kaydedilen her create/update/delete için UserAudit kaydı yazar.
+// İşlemi yapan kullanıcı ve request id requestContext'ten alınır.
+// Sebep belirtmek için: doc.$locals.audit = { action, revertedTo } veya sorgu seçeneği { audit: { action, revertedTo } }
+function auditPlugin(schema) {
+    const pendingQueries = new WeakMap();
+
+    schema.pre('save', async function() {
+        this.$locals.auditState = {
+            context: getRequestContext(),
+            before: this.isNew ? null : await this.constructor.collection.findOne({ _id: this._id }, { projection: AUDIT_PROJECTION }),
+            redactedChanges: REDACTED_FIELDS
+                .filter(field => !this.isNew && this.isModified(field))
+                .map(field => ({ field, redacted: true }))
+        };
+    });
+
+    schema.post('save', async function() {
+        const { context, before, redactedChanges } = this.$locals.auditState || {};
+        delete this.$locals.auditState;
+
+        const after = await this.constructor.collection.findOne({ _id: this._id }, { projection: AUDIT_PROJECTION });
+        if (after) {
+            await recordAudit(context, this._id, before, after, { ...this.$locals.audit, changes: redactedChanges });
+        }
+        delete this.$locals.audit;
+    });
+
+    schema.pre(['findOneAndUpdate', 'updateOne'], async function() {
+        // Soft delete filtresi bu noktada eklenmiş olur, aynı dokümanı buluruz
+        const before = await this.model.findOne(this.getFilter()).select(AUDIT_PROJECTION).lean();
+        if (before) {
+            pendingQueries.set(this, { context: getRequestContext(), before });
+        }
+    });
+
+    schema.post(['findOneAndUpdate', 'updateOne'], async function() {
+        const pending = pendingQueries.get(this);
+        if (!pending) {
+            return;
+        }
+        pendingQueries.delete(this);
+
+        const after = await this.model.collection.findOne({ _id: pending.before._id }, { projection: AUDIT_PROJECTION });
+        if (after) {
+            await recordAudit(pending.context, after._id, pending.before, after, this.getOptions().audit);
+        }
+    });
+}
+
+// Mevcut durumdan geriye doğru "before" değerlerini uygulayarak verilen versiyondaki alanları hesaplar.
+// Hedef versiyonun bir audit kaydı olmalı (audit'ten önceki versiyonlara dönülemez).
+async function stateAtVersion(user, targetVersion) {
+    const target = await UserAudit.exists({ user: user._id, version: targetVersion });
+    if (!target) {
+        return null;
+    }
+
+    const laterEntries = await UserAudit.find({ user: user._id, version: { $gt: targetVersion } })
+        .sort({ version: -1, createdAt: -1 })
+        .lean();
+
+    const state = Object.fromEntries(AUDITED_FIELDS.map(field => [field, user.get(field)]));
+    for (const entry of laterEntries) {
+        for (const change of entry.changes) {
+            if (!change.redacted) {
+                state[change.field] = change.before;
+            }
+        }
+    }
+
+    return state;
+}
+
+module.exports = {
+    AUDITED_FIELDS,
+    auditPlugin,
+    stateAtVersion
+};
@@ -0,0 +1,188 @@
+// lib/auth.js - Şifre hash'leme, JWT üretimi ve kimlik doğrulama middleware'i
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/refreshToken');
+const { findActiveApiKey } = require('./apiKeys');
+const { config } = require('./config');
+const { UnauthorizedError } = require('./errors');
+const { setRequestLocale } = require('./i18n');
+const { logger } = require('./logger');
+
+const BCRYPT_ROUNDS = 10;
+const ACCESS_EXPIRES_IN = config.auth.accessExpiresIn;
+const REFRESH_EXPIRES_IN = config.auth.refreshExpiresIn;
+
+function resolveSecret(name, value) {
+    if (value) {
+        return value;
+    }
+    // Geliştirme kolaylığı: secret yoksa her açılışta rastgele üret (token'lar restart'ta geçersiz olur).
+    // Production'da config tanımsız secret ile açılışa izin vermez.
+    logger.warn(`${name} tanımlı değil. Geçici bir secret üretildi, .env içine ${name} ekleyin.`);
+    return crypto.randomBytes(32).toString('hex');
+}
+
+const ACCESS_SECRET = resolveSecret('JWT_ACCESS_SECRET', config.auth.accessSecret);
+const REFRESH_SECRET = resolveSecret('JWT_REFRESH_SECRET', config.auth.refreshSecret);
+
+// User schema'sına şifre alanı, hash'leme ve karşılaştırma ekleyen Mongoose plugin'i
+function passwordPlugin(schema) {
+    schema.add({
+        password: {
+            type: String,
+            required: [true, 'Şifre zorunludur'],
+            minlength: [8, 'Şifre en az 8 karakter olmalıdır'],
+            select: false
+        }
+    });
+
+    schema.pre('save', async function(next) {
+        if (!this.isModified('password')) {
+            return next();
+        }
+        try {
+            this.password = await bcrypt.hash(this.password, BCRYPT_ROUNDS);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    schema.methods.comparePassword = function(candidate) {
+        if (!this.password) {
+            return Promise.resolve(false);
+        }
+        return bcrypt.compare(candidate, this.password);
+    };
+
+    // Hash hiçbir response'a sızmasın
+    schema.set('toJSON', {
+        transform: (doc, ret) => {
+            delete ret.password;
+            return ret;
+        }
+    });
+}
+
+function signAccessToken(user) {
+    return jwt.sign(
+        { sub: user._id.toString(), email: user.email, role: user.role, locale: user.locale },
+        ACCESS_SECRET,
+        { expiresIn: ACCESS_EXPIRES_IN }
+    );
+}
+
+// Refresh token üret ve jti'sini veritabanına kaydet
+async function signRefreshToken(user, ip) {
+    const jti = crypto.randomUUID();
+    const token = jwt.sign({ sub: user._id.toString(), jti }, REFRESH_SECRET, { expiresIn: REFRESH_EXPIRES_IN });
+    const { exp } = jwt.decode(token);
+
+    await RefreshToken.create({
+        jti,
+        user: user._id,
+        expiresAt: new Date(exp * 1000),
+        createdByIp: ip
+    });
+
+    return { token, jti };
+}
+
+async function issueTokens(user, ip) {
+    const accessToken = signAccessToken(user);
+    const { token: refreshToken, jti } = await signRefreshToken(user, ip);
+    return {
+        tokens: {
+            tokenType: 'Bearer',
+            accessToken,
+            refreshToken,
+            expiresIn: ACCESS_EXPIRES_IN
+        },
+        jti
+    };
+}
+
+function verifyRefreshToken(token) {
+    return jwt.verify(token, REFRESH_SECRET);
+}
+
+async function revokeRefreshToken(jti, replacedBy) {
+    return RefreshToken.updateOne(
+        { jti, revokedAt: null },
+        { revokedAt: new Date(), replacedBy }
+    );
+}
+
+async function revokeAllRefreshTokens(userId) {
+    return RefreshToken.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+}
+
+// Authorization: Bearer <token> başlığını doğrular, req.user'ı doldurur.
+// API anahtarı kabul etmez; hesaba özel route'lar (me, logout-all, doğrulama) bunu kullanır.
+function authenticateUser(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return next(new UnauthorizedError());
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, ACCESS_SECRET);
+    } catch (error) {
+        return next(error.name === 'TokenExpiredError'
+            ? new UnauthorizedError('Token süresi dolmuş', { code: 'TOKEN_EXPIRED' })
+            : new UnauthorizedError('Geçersiz token', { code: 'INVALID_TOKEN' }));
+    }
+
+    req.user = { id: payload.sub, email: payload.email, role: payload.role };
+    // Kullanıcının kayıtlı dil tercihi Accept-Language'den önceliklidir
+    if (payload.locale) {
+        setRequestLocale(req, res, payload.locale);
+    }
+    next();
+}
+
+// "Authorization: Bearer <token>" veya servisler için "Authorization: ApiKey <anahtar>".
+// API anahtarında req.apiKey set edilir; yetki kontrolü rol yerine scope'larla yapılır.
+async function authenticate(req, res, next) {
+    const [scheme, key] = (req.headers.authorization || '').split(' ');
+
+    if (scheme !== 'ApiKey') {
+        return authenticateUser(req, res, next);
+    }
+
+    let apiKey;
+    try {
+        apiKey = key ? await findActiveApiKey(key, req.ip) : null;
+    } catch (error) {
+        return next(error);
+    }
+
+    if (!apiKey) {
+        return next(new UnauthorizedError('Geçersiz, süresi dolmuş veya iptal edilmiş API anahtarı', { code: 'INVALID_API_KEY' }));
+    }
+
+    req.apiKey = { id: apiKey._id.toString(), name: apiKey.name, scopes: apiKey.scopes };
+    req.user = { id: null, role: 'service' };
+    next();
+}
+
+// Doküman üretimi için (lib/apiDocs)
+authenticateUser.authScheme = 'user';
+authenticate.authScheme = 'any';
+
+module.exports = {
+    passwordPlugin,
+    issueTokens,
+    verifyRefreshToken,
+    revokeRefreshToken,
+    revokeAllRefreshTokens,
+    authenticateUser,
+    authenticate
+};
@@ -0,0 +1,58 @@
+// lib/cache.js - Süreli (TTL) ve boyut sınırlı, süreç içi LRU önbellek
+class LruCache {
+    constructor({ max = 100, ttlMs = 60 * 1000 } = {}) {
+        this.max = max;
+        this.ttlMs = ttlMs;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        // Map ekleme sırasını tutar: sona taşıyarak "en son kullanılan" yap
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    set(key, value, ttlMs = this.ttlMs) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+        // En uzun süredir kullanılmayanları at
+        while (this.entries.size > this.max) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    keys() {
+        return this.entries.keys();
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+// Aynı parametreler farklı sırada gelse de aynı anahtarı üret
+function queryCacheKey(prefix, query) {
+    const normalized = Object.keys(query)
+        .sort()
+        .map(key => [key, query[key]]);
+    return `${prefix}:${JSON.stringify(normalized)}`;
+}
+
+module.exports = {
+    LruCache,
+    queryCacheKey
+};
@@ -0,0 +1,123 @@
+// lib/cors.js - Express ve Socket.io için ortak CORS politikası (cors paketi)
+// Ayarlar lib/config.js'ten gelir.
+// CORS_ORIGINS: virgülle ayrılmış izin listesi. Her değer tam origin (https://app.example.com),
+//   joker (https://*.example.com, http://localhost:*), /regex/ ya da * olabilir. Tanımlı değilse * kullanılır.
+// CORS_CREDENTIALS=true: cookie/Authorization ile istek; * ile birlikte kullanılamaz (tarayıcı da reddeder)
+// CORS_MAX_AGE: preflight cevabının tarayıcıda önbellekte kalma süresi (saniye, varsayılan 600)
+const cors = require('cors');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+const ALLOWED_HEADERS = [
+    'Content-Type',
+    'Authorization',
+    'Accept-Language',
+    'If-Match',
+    'If-None-Match',
+    'Cache-Control',
+    'X-Request-Id'
+];
+
+// Tarayıcıdaki JavaScript'in okuyabileceği cevap header'ları
+const EXPOSED_HEADERS = [
+    'ETag',
+    'Link',
+    'Location',
+    'Accept-Patch',
+    'Content-Disposition',
+    'Content-Language',
+    'X-Request-Id',
+    'Cache-Status',
+    'RateLimit-Policy',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'Retry-After'
+];
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "https://*.example.com" -> /^https:\/\/[^/]+\.example\.com$/ ; "/^https:\/\/.+$/" -> RegExp
+function toOriginMatcher(pattern) {
+    if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+        return new RegExp(pattern.slice(1, -1));
+    }
+    if (pattern.includes('*')) {
+        return new RegExp(`^${pattern.split('*').map(escapeRegex).join('[^/]+')}$`);
+    }
+    return pattern.replace(/\/$/, '');
+}
+
+// origins: ['*'] veya izin listesi -> cors paketinin origin seçeneği
+function resolveOrigin(origins) {
+    if (origins.includes('*')) {
+        return '*';
+    }
+    const matchers = origins.map(toOriginMatcher);
+    return (origin, callback) => {
+        // Origin header'ı olmayan istekler (curl, sunucudan sunucuya) CORS kapsamında değildir
+        if (!origin) {
+            return callback(null, true);
+        }
+        const allowed = matchers.some(matcher => (matcher instanceof RegExp ? matcher.test(origin) : matcher === origin));
+        // İzin verilmeyen origin'e hata değil, CORS header'sız cevap dönülür; tarayıcı cevabı engeller
+        callback(null, allowed);
+    };
+}
+
+function buildOptions({ origins, credentials, maxAge, methods = METHODS, allowedHeaders = ALLOWED_HEADERS, exposedHeaders = EXPOSED_HEADERS }) {
+    return {
+        origin: resolveOrigin(origins),
+        methods,
+        allowedHeaders,
+        exposedHeaders,
+        // * ile credentials tarayıcı tarafından reddedilir
+        credentials: credentials && !origins.includes('*'),
+        maxAge,
+        // Bazı eski tarayıcılar preflight'ta 204'ü hata sayar
+        optionsSuccessStatus: 200
+    };
+}
+
+const DEFAULTS = {
+    origins: config.cors.origins,
+    credentials: config.cors.credentials,
+    maxAge: config.cors.maxAge
+};
+
+if (DEFAULTS.credentials && DEFAULTS.origins.includes('*')) {
+    logger.warn('CORS_CREDENTIALS, CORS_ORIGINS=* ile kullanılamaz; credentials kapatıldı. CORS_ORIGINS ile izin listesi tanımlayın.');
+} else if (config.env === 'production' && DEFAULTS.origins.includes('*')) {
+    logger.warn('CORS_ORIGINS tanımlı değil, tüm origin\'lere izin veriliyor. Production\'da izin listesi tanımlayın.');
+}
+
+// Express middleware'i. routes: path prefix'ine göre varsayılanları ezen ayarlar, ilk eşleşen kullanılır.
+//   createCors({ routes: { '/openapi.json': { origins: ['*'], credentials: false } } })
+// Preflight (OPTIONS) da aynı middleware'de cevaplanır, route override'ları preflight'a da uygulanır.
+function createCors({ routes = {} } = {}) {
+    const overrides = Object.entries(routes).map(([prefix, options]) => ({
+        prefix,
+        middleware: cors(buildOptions({ ...DEFAULTS, ...options }))
+    }));
+    const defaultMiddleware = cors(buildOptions(DEFAULTS));
+
+    return (req, res, next) => {
+        const override = overrides.find(({ prefix }) => req.path === prefix || req.path.startsWith(`${prefix}/`));
+        (override ? override.middleware : defaultMiddleware)(req, res, next);
+    };
+}
+
+// new Server(server, { cors: socketCorsOptions() }); Socket.io handshake'i de aynı izin listesine tabidir
+function socketCorsOptions() {
+    const { origin, allowedHeaders, credentials } = buildOptions(DEFAULTS);
+    return { origin, methods: ['GET', 'POST'], allowedHeaders, credentials };
+}
+
+module.exports = {
+    createCors,
+    socketCorsOptions
+};
@@ -0,0 +1,106 @@
+// lib/csv.js - RFC 4180 uyumlu basit CSV okuma/yazma yardımcıları
+
+// Metni satır dizilerine ayırır; tırnaklı alanlar, "" kaçışı ve CRLF desteklenir
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // UTF-8 BOM (Excel çıktıları)
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('CSV hatalı: kapanmamış tırnak');
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Boş satırları at
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// İlk satırı başlık kabul edip her satırı nesneye çevirir
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) {
+        return [];
+    }
+    const columns = header.map(column => column.trim());
+
+    return rows.map(cells => {
+        const record = {};
+        columns.forEach((column, index) => {
+            const value = (cells[index] ?? '').trim();
+            // Boş hücre = alan gönderilmemiş
+            if (value !== '') {
+                record[column] = value;
+            }
+        });
+        return record;
+    });
+}
+
+// Excel'de formül olarak çalıştırılabilecek değerleri etkisizleştir (CSV injection).
+// + veya - ile başlayan her değer kaçırılır ("+1+cmd|..." da formüldür); okunabilir kalsın diye
+// yalnızca tamamı telefon numarası olan değerlere ("+90 532 123 45 67") dokunulmaz.
+const FORMULA_PREFIX = /^[=@+\-\t\r]/;
+const PHONE_NUMBER = /^\+?\d[\d\s-]*$/;
+
+function formatCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIX.test(text) && !PHONE_NUMBER.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+function formatCsvRow(values) {
+    return `${values.map(formatCsvValue).join(',')}\r\n`;
+}
+
+module.exports = {
+    parseCsv,
+    formatCsvRow
+};
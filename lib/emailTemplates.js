@@ -0,0 +1,75 @@
+// lib/emailTemplates.js - Kuyruk mesajından (action + data) email konusu ve HTML gövdesi üretir
+// Metinler lib/i18n kataloğundan, alıcının diliyle (data.locale) alınır; email-worker ve v4 sunucusu ortak kullanır.
+const { DEFAULT_LOCALE, createTranslator } = require('./i18n');
+
+const TEMPLATE_KEYS = {
+    'email-welcome': 'welcome',
+    'email-verification': 'verification',
+    'password-reset': 'passwordReset'
+};
+
+// HTML şablonuna giren kullanıcı verisi (isim vb.) kaçırılır
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function layout(content, footer = '') {
+    return `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
+            <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+                ${content}
+            </div>
+            ${footer}
+        </div>
+    `;
+}
+
+function button(href, label, color) {
+    return `
+        <div style="text-align: center; margin-top: 30px;">
+            <a href="${escapeHtml(href)}" style="background-color: ${color}; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px;">
+                ${label}
+            </a>
+        </div>
+    `;
+}
+
+function note(text) {
+    return `<p style="color: #7f8c8d; font-size: 12px; text-align: center; margin-top: 15px;">${text}</p>`;
+}
+
+function renderBody(template, data, t) {
+    const params = { userName: escapeHtml(data.userName || (data.data && data.data.userName) || '') };
+    const heading = `<h1 style="color: #2c3e50; text-align: center;">${t(`email.${template}.title`, params)}</h1>`;
+    const paragraph = `<p style="color: #34495e; line-height: 1.6;">${t(`email.${template}.body`, params)}</p>`;
+
+    switch (template) {
+        case 'welcome':
+            return layout(heading + paragraph + button('#', t('email.welcome.button'), '#3498db'), note(t('email.footer')));
+        case 'verification':
+            return layout(heading + paragraph + button(data.verifyLink, t('email.verification.button'), '#27ae60') + note(t('email.verification.expiry')));
+        case 'passwordReset':
+            return layout(heading + paragraph + button(data.resetLink, t('email.passwordReset.button'), '#e74c3c') + note(t('email.passwordReset.expiry')));
+        default:
+            return layout(`<h1>${t('email.default.subject')}</h1><p>${t('email.default.body')}</p>`);
+    }
+}
+
+// message: { action: 'email-welcome' | 'email-verification' | 'password-reset', data: { userName, locale, verifyLink, resetLink } }
+function renderEmail({ action, data = {} }) {
+    const t = createTranslator(data.locale || DEFAULT_LOCALE);
+    const template = TEMPLATE_KEYS[action];
+
+    return {
+        subject: t(template ? `email.${template}.subject` : 'email.default.subject'),
+        html: renderBody(template, data, t)
+    };
+}
+
+module.exports = {
+    renderEmail
+};
@@ -0,0 +1,226 @@
+// lib/errors.js - Merkezi hata sınıfları ve RFC 7807 (application/problem+json) hata cevapları
+// Route'lar cevap yazmak yerine hata fırlatır / next(error) çağırır; errorHandler hepsini aynı formata çevirir:
+// { type, title, status, detail, instance, code, requestId, errors?: [{ in, field, code, message }], ...ek alanlar }
+// code alanı sabittir, istemciler mesajları ayrıştırmak yerine buna göre karar verir.
+// detail, isteğin dilinde katalogdaki errors.<CODE> mesajıdır; katalogda yoksa hatanın kendi mesajı kullanılır.
+const http = require('http');
+const mongoose = require('mongoose');
+const { config } = require('./config');
+const { DEFAULT_LOCALE, createTranslator } = require('./i18n');
+const { logger } = require('./logger');
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+class HttpError extends Error {
+    // options: { code, errors, params: mesaj yer tutucuları, ...problem dokümanına eklenecek alanlar (ör. requiredPermission) }
+    constructor(status, message, { code, errors, params, ...extensions } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.errors = errors;
+        this.params = params;
+        this.extensions = extensions;
+    }
+}
+
+class BadRequestError extends HttpError {
+    constructor(message = 'Geçersiz istek', options = {}) {
+        super(400, message, { code: 'BAD_REQUEST', ...options });
+    }
+}
+
+// errors: [{ in: 'body', field: 'email', code: 'REQUIRED', message }]
+class ValidationError extends HttpError {
+    constructor(errors, message = 'Geçersiz istek', options = {}) {
+        super(400, message, { code: 'VALIDATION_FAILED', errors, ...options });
+    }
+}
+
+class UnauthorizedError extends HttpError {
+    constructor(message = 'Kimlik doğrulaması gerekli', options = {}) {
+        super(401, message, { code: 'UNAUTHORIZED', ...options });
+    }
+}
+
+class ForbiddenError extends HttpError {
+    constructor(message = 'Bu işlem için yetkiniz yok', options = {}) {
+        super(403, message, { code: 'FORBIDDEN', ...options });
+    }
+}
+
+class NotFoundError extends HttpError {
+    constructor(message = 'Kayıt bulunamadı', options = {}) {
+        super(404, message, { code: 'NOT_FOUND', ...options });
+    }
+}
+
+class ConflictError extends HttpError {
+    constructor(message = 'Kayıt çakışması', options = {}) {
+        super(409, message, { code: 'CONFLICT', ...options });
+    }
+}
+
+class PreconditionFailedError extends HttpError {
+    constructor(message = 'Ön koşul sağlanmadı', options = {}) {
+        super(412, message, { code: 'PRECONDITION_FAILED', ...options });
+    }
+}
+
+class UnsupportedMediaTypeError extends HttpError {
+    constructor(message = 'Desteklenmeyen Content-Type', options = {}) {
+        super(415, message, { code: 'UNSUPPORTED_MEDIA_TYPE', ...options });
+    }
+}
+
+class TooManyRequestsError extends HttpError {
+    constructor(message = 'Çok fazla istek gönderildi', options = {}) {
+        super(429, message, { code: 'RATE_LIMITED', ...options });
+    }
+}
+
+class ServiceUnavailableError extends HttpError {
+    constructor(message = 'Servis şu anda kullanılamıyor', options = {}) {
+        super(503, message, { code: 'SERVICE_UNAVAILABLE', ...options });
+    }
+}
+
+// Mongoose validator türü -> alan hata kodu (lib/validation.js ile aynı kodlar)
+const MONGOOSE_FIELD_CODES = {
+    required: 'REQUIRED',
+    min: 'TOO_SMALL',
+    max: 'TOO_LARGE',
+    minlength: 'TOO_SHORT',
+    maxlength: 'TOO_LONG',
+    enum: 'INVALID_ENUM',
+    regexp: 'INVALID_FORMAT'
+};
+
+const DUPLICATE_KEY_CODES = {
+    email: 'EMAIL_ALREADY_EXISTS'
+};
+
+// Mongoose alan hatası: önce alana özel katalog mesajı (fields.age.min), yoksa genel doğrulama mesajı
+function mongooseFieldMessage(fieldError, code, t) {
+    const { path, kind, properties = {} } = fieldError;
+    const params = {
+        field: path,
+        minimum: properties.min,
+        maximum: properties.max,
+        minLength: properties.minlength,
+        maxLength: properties.maxlength,
+        values: properties.enumValues && properties.enumValues.join(', ')
+    };
+    // Özel validator'lar (kind: 'user defined') için modeldeki mesaj kullanılır
+    const generic = code === 'INVALID' ? fieldError.message : t(`validation.${code}`, params, fieldError.message);
+    return t(`fields.${path}.${kind}`, params, generic);
+}
+
+// Uygulama dışı hataları (Mongoose, MongoDB, body-parser) HttpError'a çevirir; bilinmeyen hatalar için null
+// t: isteğin dilindeki çevirici (lib/i18n createTranslator)
+function toHttpError(error, t) {
+    if (error instanceof HttpError) {
+        return error;
+    }
+
+    if (error instanceof mongoose.Error.ValidationError) {
+        return new ValidationError(Object.values(error.errors).map((fieldError) => {
+            const code = fieldError instanceof mongoose.Error.CastError
+                ? 'INVALID_TYPE'
+                : MONGOOSE_FIELD_CODES[fieldError.kind] || 'INVALID';
+            return { in: 'body', field: fieldError.path, code, message: mongooseFieldMessage(fieldError, code, t) };
+        }), 'Validation hatası');
+    }
+
+    if (error instanceof mongoose.Error.CastError) {
+        const path = error.path === '_id' ? 'ID' : error.path;
+        return new BadRequestError(`Geçersiz ${path} formatı`, { code: 'INVALID_ID', params: { path } });
+    }
+
+    if (error.code === 11000) {
+        const field = Object.keys(error.keyValue || error.keyPattern || {})[0];
+        const code = DUPLICATE_KEY_CODES[field] || 'DUPLICATE_KEY';
+        const message = t(`errors.${code}`, { field });
+        return new ConflictError(message, {
+            code,
+            errors: field ? [{ in: 'body', field, code: 'DUPLICATE', message }] : undefined
+        });
+    }
+
+    // body-parser hataları
+    if (error.type === 'entity.parse.failed') {
+        return new BadRequestError('İstek gövdesi ayrıştırılamadı (geçersiz JSON)', { code: 'MALFORMED_BODY' });
+    }
+    if (error.type === 'entity.too.large') {
+        return new HttpError(413, 'İstek gövdesi çok büyük', { code: 'PAYLOAD_TOO_LARGE' });
+    }
+    if (error.expose && error.status >= 400 && error.status < 500) {
+        return new HttpError(error.status, error.message, { code: 'BAD_REQUEST' });
+    }
+
+    return null;
+}
+
+// ERROR_CODE -> urn:problem-type:error-code
+function problemType(code) {
+    return `urn:problem-type:${code.toLowerCase().replace(/_/g, '-')}`;
+}
+
+function toProblem(error, req) {
+    // localize middleware'inden önce oluşan hatalar (ör. body parser) için
+    const t = req.t || createTranslator(DEFAULT_LOCALE);
+    const httpError = toHttpError(error, t);
+    const status = httpError ? httpError.status : 500;
+    const code = (httpError && httpError.code) || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+    // İç hata mesajları sadece development ortamında gösterilir
+    const detail = httpError
+        ? t(`errors.${code}`, { ...httpError.extensions, ...httpError.params }, httpError.message)
+        : config.env === 'development' ? error.message : t('errors.INTERNAL_ERROR');
+
+    return {
+        type: problemType(code),
+        title: http.STATUS_CODES[status],
+        status,
+        detail,
+        instance: req.originalUrl,
+        code,
+        requestId: req.id || req.get('X-Request-Id'),
+        ...(httpError && httpError.errors && { errors: httpError.errors }),
+        ...(httpError && httpError.extensions),
+        success: false
+    };
+}
+
+// Express global error handler'ı; en sona eklenir
+function errorHandler(error, req, res, next) {
+    // Stream (ör. export) yarıda kaldıysa cevap değiştirilemez, Express bağlantıyı kapatır
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    const problem = toProblem(error, req);
+    if (problem.status >= 500) {
+        logger.error('İşlenmeyen hata', { requestId: req.id, error });
+    }
+
+    res.status(problem.status).type(PROBLEM_CONTENT_TYPE).json(problem);
+}
+
+module.exports = {
+    PROBLEM_CONTENT_TYPE,
+    HttpError,
+    BadRequestError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError,
+    UnsupportedMediaTypeError,
+    TooManyRequestsError,
+    ServiceUnavailableError,
+    toHttpError,
+    toProblem,
+    errorHandler
+};
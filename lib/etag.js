@@ -0,0 +1,94 @@
+// lib/etag.js - Doküman versiyonuna dayalı ETag ve If-Match / If-None-Match kontrolleri
+const { PreconditionFailedError } = require('./errors');
+
+// Her güncellemede __v'yi artıran Mongoose plugin'i.
+// Mongoose varsayılan olarak __v'yi sadece dizi değişikliklerinde artırır.
+function versionPlugin(schema) {
+    const versionKey = schema.get('versionKey');
+
+    schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function() {
+        const update = this.getUpdate();
+        // Aggregation pipeline update'lerine dokunma
+        if (!update || Array.isArray(update)) {
+            return;
+        }
+        update.$inc = { ...update.$inc, [versionKey]: 1 };
+        this.setUpdate(update);
+    });
+
+    schema.pre('save', function(next) {
+        if (!this.isNew) {
+            this.increment();
+        }
+        next();
+    });
+
+    // __v response'larda görünmesin, ETag header'ı ile taşınır
+    schema.set('toJSON', { ...schema.get('toJSON'), versionKey: false });
+}
+
+function entityTag(doc) {
+    return `"${doc._id}-${doc.__v}"`;
+}
+
+// 'W/"a", "b"' -> [{ weak: true, tag: '"a"' }, { weak: false, tag: '"b"' }]
+function parseEtagList(header) {
+    return header.split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => part.startsWith('W/')
+            ? { weak: true, tag: part.slice(2) }
+            : { weak: false, tag: part });
+}
+
+// If-Match yoksa veya eşleşiyorsa true (RFC 9110: güçlü karşılaştırma)
+function ifMatchSatisfied(req, etag) {
+    const header = req.get('If-Match');
+    if (!header) {
+        return true;
+    }
+    if (header.trim() === '*') {
+        return true;
+    }
+    return parseEtagList(header).some(entry => !entry.weak && entry.tag === etag);
+}
+
+// If-None-Match eşleşiyorsa true, yani 304 dönülmeli (zayıf karşılaştırma)
+function ifNoneMatchHit(req, etag) {
+    const header = req.get('If-None-Match');
+    if (!header) {
+        return false;
+    }
+    if (header.trim() === '*') {
+        return true;
+    }
+    return parseEtagList(header).some(entry => entry.tag === etag);
+}
+
+// If-Match gönderildiyse güncellemeyi okunan versiyona koşullu yap (okuma-yazma arası yarışa karşı)
+function conditionalFilter(req, doc) {
+    const filter = { _id: doc._id };
+    if (req.get('If-Match')) {
+        filter.__v = doc.__v;
+    }
+    return filter;
+}
+
+// Fırlatılacak 412 hatası; etag verilmezse (kayıt arada değişti/silindi) header eklenmez
+function preconditionFailed(res, etag) {
+    if (etag) {
+        res.set('ETag', etag);
+    }
+    return new PreconditionFailedError('Kayıt siz okuduktan sonra değiştirilmiş. Güncel halini alıp tekrar deneyin.', {
+        currentETag: etag
+    });
+}
+
+module.exports = {
+    versionPlugin,
+    entityTag,
+    ifMatchSatisfied,
+    ifNoneMatchHit,
+    conditionalFilter,
+    preconditionFailed
+};
@@ -0,0 +1,100 @@
+// lib/health.js - Liveness (/healthz) ve readiness (/readyz) endpoint'leri
+// Liveness sadece sürecin cevap verdiğini söyler; readiness bağımlılıkları (MongoDB, RabbitMQ, SMTP) kontrol eder.
+// Zorunlu bir kontrol başarısızsa /readyz 503 döner ve load balancer trafiği bu instance'a yönlendirmez.
+const { config } = require('./config');
+
+const CHECK_TIMEOUT_MS = config.health.checkTimeoutMs;
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${ms}ms içinde cevap gelmedi`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// check: () => boolean | Promise<boolean>; hata fırlatırsa veya false dönerse "down" sayılır
+async function runCheck(name, { check, optional = false }) {
+    const startedAt = Date.now();
+    try {
+        const ok = await withTimeout(Promise.resolve().then(check), CHECK_TIMEOUT_MS);
+        return [name, { status: ok ? 'up' : 'down', optional, durationMs: Date.now() - startedAt }];
+    } catch (error) {
+        return [name, { status: 'down', optional, durationMs: Date.now() - startedAt, error: error.message }];
+    }
+}
+
+// Pahalı kontrolleri (ör. SMTP verify) her istekte tekrarlamamak için sonucu ttlMs boyunca saklar
+function cachedCheck(check, ttlMs = 30 * 1000) {
+    let cached = null;
+    return async () => {
+        if (!cached || cached.expiresAt <= Date.now()) {
+            cached = { promise: Promise.resolve().then(check), expiresAt: Date.now() + ttlMs };
+            // Hata da ttl boyunca saklanır; SMTP'ye her saniye bağlanmaya çalışmayız
+            cached.promise.catch(() => {});
+        }
+        return cached.promise;
+    };
+}
+
+const HEALTH_SCHEMA = {
+    type: 'object',
+    properties: {
+        status: { type: 'string', enum: ['ok', 'ready', 'not_ready'] },
+        uptime: { type: 'number' },
+        checks: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    status: { type: 'string', enum: ['up', 'down'] },
+                    optional: { type: 'boolean' },
+                    durationMs: { type: 'number' },
+                    error: { type: 'string' }
+                }
+            }
+        },
+        timestamp: { type: 'string', format: 'date-time' }
+    }
+};
+
+// api: documented(app); checks: { mongodb: { check }, smtp: { check, optional: true } }
+function registerHealthRoutes(api, { checks }) {
+    api.get('/healthz', {
+        summary: 'Liveness kontrolü',
+        tags: ['Health'],
+        responses: { 200: { description: 'Süreç çalışıyor', schema: HEALTH_SCHEMA } }
+    }, (req, res) => {
+        res.set('Cache-Control', 'no-store').json({
+            status: 'ok',
+            uptime: process.uptime(),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    api.get('/readyz', {
+        summary: 'Readiness kontrolü (MongoDB, RabbitMQ, SMTP)',
+        description: 'Opsiyonel kontroller (ör. SMTP) sonuçta gösterilir ama 503\'e sebep olmaz.',
+        tags: ['Health'],
+        responses: {
+            200: { description: 'Tüm zorunlu bağımlılıklar ayakta', schema: HEALTH_SCHEMA },
+            503: { description: 'En az bir zorunlu bağımlılık erişilemiyor', schema: HEALTH_SCHEMA }
+        }
+    }, async (req, res) => {
+        const results = Object.fromEntries(await Promise.all(
+            Object.entries(checks).map(([name, options]) => runCheck(name, options))
+        ));
+        const ready = Object.values(results).every(result => result.status === 'up' || result.optional);
+
+        res.status(ready ? 200 : 503).set('Cache-Control', 'no-store').json({
+            status: ready ? 'ready' : 'not_ready',
+            checks: results,
+            timestamp: new Date().toISOString()
+        });
+    });
+}
+
+module.exports = {
+    cachedCheck,
+    registerHealthRoutes
+};
@@ -0,0 +1,89 @@
+// lib/i18n.js - Mesaj kataloğu (locales/*.js), dil seçimi ve çeviri
+// Dil önceliği: kullanıcının kayıtlı tercihi (token'daki locale) > Accept-Language > DEFAULT_LOCALE
+// Mesajlarda {name} yer tutucuları params ile doldurulur: t('errors.RESEND_COOLDOWN', { retryAfter: 30 })
+// Yeni dil eklemek için locales/<dil>.js oluşturup CATALOGS'a eklemek yeterlidir.
+const { config } = require('./config');
+
+const CATALOGS = {
+    tr: require('../locales/tr'),
+    en: require('../locales/en')
+};
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+const DEFAULT_LOCALE = config.i18n.defaultLocale;
+
+function interpolate(message, params) {
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : String(params[name])));
+}
+
+// Anahtar seçilen dilde yoksa varsayılan dile düşer; hiçbirinde yoksa undefined döner
+function translate(locale, key, params = {}) {
+    const message = (CATALOGS[locale] && CATALOGS[locale][key]) || CATALOGS[DEFAULT_LOCALE][key];
+    return message === undefined ? undefined : interpolate(message, params);
+}
+
+// Katalogda olmayan anahtarlar için fallback (ör. hata nesnesinin kendi mesajı) döner
+function createTranslator(locale) {
+    return (key, params, fallback) => {
+        const message = translate(locale, key, params);
+        return message === undefined ? (fallback === undefined ? key : fallback) : message;
+    };
+}
+
+function isSupportedLocale(locale) {
+    return SUPPORTED_LOCALES.includes(locale);
+}
+
+// "en-US,en;q=0.9,tr;q=0.8" -> desteklenen en yüksek öncelikli dil ("en-US" -> "en")
+function negotiateLocale(acceptLanguage) {
+    if (!acceptLanguage) {
+        return null;
+    }
+
+    const ranges = acceptLanguage.split(',')
+        .map((part, index) => {
+            const [range, ...parameters] = part.trim().split(';');
+            const q = parameters.map(p => p.trim()).find(p => p.startsWith('q='));
+            return { language: range.trim().toLowerCase().split('-')[0], q: q ? parseFloat(q.slice(2)) : 1, index };
+        })
+        .filter(range => range.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    const match = ranges.find(range => isSupportedLocale(range.language));
+    return match ? match.language : null;
+}
+
+// Cevabın dilini günceller; authenticate sonrası kullanıcı tercihi için tekrar çağrılır
+function setRequestLocale(req, res, locale) {
+    req.locale = locale;
+    req.t = createTranslator(locale);
+    res.set('Content-Language', locale);
+}
+
+// Express middleware'i: req.locale ve req.t(key, params, fallback)
+function localize(req, res, next) {
+    setRequestLocale(req, res, negotiateLocale(req.get('Accept-Language')) || DEFAULT_LOCALE);
+    res.vary('Accept-Language');
+    next();
+}
+
+// User schema'sına dil tercihi ekleyen Mongoose plugin'i; email/SMS'ler de bu dilde gönderilir
+function localePlugin(schema) {
+    schema.add({
+        locale: {
+            type: String,
+            enum: SUPPORTED_LOCALES
+        }
+    });
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    translate,
+    createTranslator,
+    negotiateLocale,
+    setRequestLocale,
+    localize,
+    localePlugin
+};
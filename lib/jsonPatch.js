@@ -0,0 +1,198 @@
+// lib/jsonPatch.js - JSON Merge Patch (RFC 7386) ve JSON Patch (RFC 6902) uygulayıcıları
+// İkisi de düz JSON nesneleri üzerinde çalışır, girdiyi değiştirmeden yeni nesne döner.
+const { HttpError } = require('./errors');
+
+class JsonPatchError extends HttpError {
+    // status: 400 geçersiz patch, 409 "test" işlemi başarısız
+    constructor(message, { code = 'INVALID_PATCH', params, status = 400 } = {}) {
+        super(status, message, { code, params });
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Prototype kirliliğine karşı bu anahtarlar hiç kabul edilmez
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function applyMergePatch(target, patch) {
+    if (!isPlainObject(patch)) {
+        return clone(patch);
+    }
+
+    const result = isPlainObject(target) ? clone(target) : {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (FORBIDDEN_KEYS.includes(key)) {
+            throw new JsonPatchError(`Geçersiz alan adı: ${key}`, { code: 'INVALID_PATCH_FIELD', params: { key } });
+        }
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    }
+    return result;
+}
+
+// "/a/b~1c" -> ['a', 'b/c']
+function parsePointer(pointer) {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+        throw new JsonPatchError(`Geçersiz JSON pointer: ${pointer}`, { code: 'INVALID_POINTER', params: { pointer } });
+    }
+    if (pointer === '') {
+        return [];
+    }
+    const tokens = pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (tokens.some(token => FORBIDDEN_KEYS.includes(token))) {
+        throw new JsonPatchError(`Geçersiz JSON pointer: ${pointer}`, { code: 'INVALID_POINTER', params: { pointer } });
+    }
+    return tokens;
+}
+
+// Pointer'ın gösterdiği değerin parent'ını ve anahtarını bul
+function resolveParent(doc, tokens, pointer) {
+    let parent = doc;
+    for (const token of tokens.slice(0, -1)) {
+        if (parent === null || typeof parent !== 'object' || !hasOwn(parent, token)) {
+            throw new JsonPatchError(`Yol bulunamadı: ${pointer}`, { code: 'PATCH_PATH_NOT_FOUND', params: { pointer } });
+        }
+        parent = parent[token];
+    }
+    if (parent === null || typeof parent !== 'object') {
+        throw new JsonPatchError(`Yol bulunamadı: ${pointer}`, { code: 'PATCH_PATH_NOT_FOUND', params: { pointer } });
+    }
+    return { parent, key: tokens[tokens.length - 1] };
+}
+
+function arrayIndex(array, key, pointer, allowEnd) {
+    if (allowEnd && key === '-') {
+        return array.length;
+    }
+    if (!/^(0|[1-9][0-9]*)$/.test(key)) {
+        throw new JsonPatchError(`Geçersiz dizi indeksi: ${pointer}`, { code: 'INVALID_ARRAY_INDEX', params: { pointer } });
+    }
+    const index = Number(key);
+    if (index > array.length || (!allowEnd && index === array.length)) {
+        throw new JsonPatchError(`Dizi indeksi sınır dışında: ${pointer}`, { code: 'ARRAY_INDEX_OUT_OF_BOUNDS', params: { pointer } });
+    }
+    return index;
+}
+
+function getValue(doc, pointer) {
+    let current = doc;
+    for (const token of parsePointer(pointer)) {
+        if (current === null || typeof current !== 'object' || !hasOwn(current, token)) {
+            throw new JsonPatchError(`Yol bulunamadı: ${pointer}`, { code: 'PATCH_PATH_NOT_FOUND', params: { pointer } });
+        }
+        current = current[token];
+    }
+    return current;
+}
+
+function addValue(doc, pointer, value) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) {
+        return clone(value);
+    }
+    const { parent, key } = resolveParent(doc, tokens, pointer);
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, key, pointer, true), 0, clone(value));
+    } else {
+        parent[key] = clone(value);
+    }
+    return doc;
+}
+
+function removeValue(doc, pointer) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) {
+        throw new JsonPatchError('Kök belge silinemez', { code: 'CANNOT_REMOVE_ROOT' });
+    }
+    const { parent, key } = resolveParent(doc, tokens, pointer);
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, key, pointer, false), 1);
+    } else {
+        if (!hasOwn(parent, key)) {
+            throw new JsonPatchError(`Yol bulunamadı: ${pointer}`, { code: 'PATCH_PATH_NOT_FOUND', params: { pointer } });
+        }
+        delete parent[key];
+    }
+    return doc;
+}
+
+function deepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function applyJsonPatch(document, operations) {
+    if (!Array.isArray(operations)) {
+        throw new JsonPatchError('JSON Patch bir işlem dizisi olmalıdır', { code: 'PATCH_NOT_ARRAY' });
+    }
+
+    let doc = clone(document);
+
+    for (const operation of operations) {
+        if (!isPlainObject(operation) || typeof operation.op !== 'string') {
+            throw new JsonPatchError('Her işlemin bir "op" alanı olmalıdır', { code: 'PATCH_OP_MISSING' });
+        }
+        const { op, path } = operation;
+
+        if (['add', 'replace', 'test'].includes(op) && !('value' in operation)) {
+            throw new JsonPatchError(`"${op}" işlemi için "value" zorunludur`, { code: 'PATCH_VALUE_REQUIRED', params: { op } });
+        }
+
+        switch (op) {
+            case 'add':
+                doc = addValue(doc, path, operation.value);
+                break;
+            case 'remove':
+                doc = removeValue(doc, path);
+                break;
+            case 'replace':
+                // Hedef mevcut olmalı
+                getValue(doc, path);
+                if (parsePointer(path).length === 0) {
+                    doc = clone(operation.value);
+                } else {
+                    doc = addValue(removeValue(doc, path), path, operation.value);
+                }
+                break;
+            case 'move': {
+                if (typeof path === 'string' && path.startsWith(`${operation.from}/`)) {
+                    throw new JsonPatchError('Bir değer kendi alt yoluna taşınamaz', { code: 'PATCH_MOVE_INTO_CHILD' });
+                }
+                const value = getValue(doc, operation.from);
+                doc = removeValue(doc, operation.from);
+                doc = addValue(doc, path, value);
+                break;
+            }
+            case 'copy':
+                doc = addValue(doc, path, getValue(doc, operation.from));
+                break;
+            case 'test':
+                if (!deepEqual(getValue(doc, path), operation.value)) {
+                    throw new JsonPatchError(`Test başarısız: ${path}`, { status: 409, code: 'PATCH_TEST_FAILED', params: { path } });
+                }
+                break;
+            default:
+                throw new JsonPatchError(`Desteklenmeyen işlem: ${op}`, { code: 'UNSUPPORTED_PATCH_OP', params: { op } });
+        }
+    }
+
+    return doc;
+}
+
+module.exports = {
+    JsonPatchError,
+    applyMergePatch,
+    applyJsonPatch
+};
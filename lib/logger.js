@@ -0,0 +1,103 @@
+// lib/logger.js - Seviyeli JSON loglar (her satır tek bir JSON nesnesi)
+// Aktif bir istek veya kuyruk mesajı varsa satıra requestId otomatik eklenir; böylece API ve worker logları birleştirilebilir.
+// LOG_LEVEL: debug | info | warn | error (varsayılan info)
+const { config } = require('./config');
+const { getRequestContext } = require('./requestContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[config.log.level];
+
+// Error nesneleri JSON.stringify ile boş ({}) çıkar
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        ...(error.status !== undefined && { status: error.status }),
+        stack: error.stack
+    };
+}
+
+function serializeFields(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields)) {
+        result[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    return result;
+}
+
+function write(level, bindings, message, fields = {}) {
+    if (LEVELS[level] < MIN_LEVEL) {
+        return;
+    }
+
+    const context = getRequestContext();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...bindings,
+        ...(context && context.requestId && { requestId: context.requestId }),
+        ...serializeFields(fields)
+    };
+
+    // warn/error stderr'e, diğerleri stdout'a (console.* ile aynı ayrım)
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// bindings her satıra eklenir: createLogger({ service: 'email-worker' })
+function createLogger(bindings = {}) {
+    return {
+        debug: (message, fields) => write('debug', bindings, message, fields),
+        info: (message, fields) => write('info', bindings, message, fields),
+        warn: (message, fields) => write('warn', bindings, message, fields),
+        error: (message, fields) => write('error', bindings, message, fields),
+        child: (extra) => createLogger({ ...bindings, ...extra })
+    };
+}
+
+const logger = createLogger();
+
+// İstek bitince method, path, status ve süreyi loglar; requestContext'ten sonra eklenmelidir
+function requestLogger(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+    let logged = false;
+
+    function log(aborted) {
+        if (logged) {
+            return;
+        }
+        logged = true;
+
+        const fields = {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl,
+            status: aborted ? undefined : res.statusCode,
+            durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e3) / 1e3,
+            userId: req.user?.id,
+            ip: req.ip
+        };
+
+        if (aborted) {
+            logger.warn('İstek tamamlanmadan bağlantı kapandı', fields);
+        } else if (res.statusCode >= 500) {
+            logger.error('İstek tamamlandı', fields);
+        } else if (res.statusCode >= 400) {
+            logger.warn('İstek tamamlandı', fields);
+        } else {
+            logger.info('İstek tamamlandı', fields);
+        }
+    }
+
+    res.on('finish', () => log(false));
+    res.on('close', () => log(!res.writableFinished));
+    next();
+}
+
+module.exports = {
+    logger,
+    createLogger,
+    requestLogger
+};
@@ -0,0 +1,248 @@
+// lib/metrics.js - Prometheus text formatında (exposition format 0.0.4) süreç içi metrikler
+// Counter, gauge ve histogram; etiketler (labels) her metrik için sabit bir listeden gelir.
+// GET /metrics bu modüldeki registry'yi döner; sayaçlar süreç yeniden başlayınca sıfırlanır (Prometheus bunu bekler).
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Saniye cinsinden varsayılan gecikme aralıkları
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Etiket değerlerini labelNames sırasıyla sabit bir anahtara çevirir
+function labelKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function keyToLabels(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+class Counter {
+    constructor({ name, help, labelNames = [] }) {
+        Object.assign(this, { name, help, labelNames, type: 'counter' });
+        this.values = new Map();
+    }
+
+    inc(labels, value = 1) {
+        const key = labelKey(this.labelNames, labels);
+        this.values.set(key, (this.values.get(key) || 0) + value);
+    }
+
+    collect() {
+        return [...this.values].map(([key, value]) => `${this.name}${formatLabels(keyToLabels(this.labelNames, key))} ${value}`);
+    }
+}
+
+// collect verilirse değer her scrape'te o fonksiyondan okunur (ör. bağlı socket sayısı)
+class Gauge {
+    constructor({ name, help, labelNames = [], collect }) {
+        Object.assign(this, { name, help, labelNames, type: 'gauge', read: collect });
+        this.values = new Map();
+    }
+
+    set(labels, value) {
+        this.values.set(labelKey(this.labelNames, labels), value);
+    }
+
+    collect() {
+        if (this.read) {
+            this.set({}, Number(this.read()) || 0);
+        }
+        return [...this.values].map(([key, value]) => `${this.name}${formatLabels(keyToLabels(this.labelNames, key))} ${value}`);
+    }
+}
+
+class Histogram {
+    constructor({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+        Object.assign(this, { name, help, labelNames, buckets, type: 'histogram' });
+        this.values = new Map();
+    }
+
+    observe(labels, value) {
+        const key = labelKey(this.labelNames, labels);
+        let series = this.values.get(key);
+        if (!series) {
+            series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, series);
+        }
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // observe için süre ölçer: const end = histogram.startTimer(); ...; end({ status })
+    startTimer(labels = {}) {
+        const startedAt = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        };
+    }
+
+    collect() {
+        const lines = [];
+        for (const [key, series] of this.values) {
+            const labels = keyToLabels(this.labelNames, key);
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    // Aynı isimle tekrar kayıt mevcut metriği döner (modül iki kez yüklenirse çift sayım olmaz)
+    register(metric) {
+        if (!this.metrics.has(metric.name)) {
+            this.metrics.set(metric.name, metric);
+        }
+        return this.metrics.get(metric.name);
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    render() {
+        const blocks = [...this.metrics.values()].map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.collect()
+        ].join('\n'));
+        return `${blocks.join('\n')}\n`;
+    }
+}
+
+const registry = new Registry();
+
+const httpRequestsTotal = registry.counter({
+    name: 'http_requests_total',
+    help: 'Tamamlanan HTTP istekleri',
+    labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP istek süreleri (saniye)',
+    labelNames: ['method', 'route', 'status']
+});
+
+const queueMessagesPublished = registry.counter({
+    name: 'queue_messages_published_total',
+    help: 'Kuyruğa gönderilen mesajlar',
+    labelNames: ['queue']
+});
+
+const queueMessagesConsumed = registry.counter({
+    name: 'queue_messages_consumed_total',
+    help: 'Başarıyla işlenen kuyruk mesajları',
+    labelNames: ['queue']
+});
+
+const queueMessagesFailed = registry.counter({
+    name: 'queue_messages_failed_total',
+    help: 'İşlenirken hata alan kuyruk mesajları',
+    labelNames: ['queue']
+});
+
+const queueProcessingDuration = registry.histogram({
+    name: 'queue_message_processing_seconds',
+    help: 'Consumer\'ların mesaj işleme süreleri (saniye)',
+    labelNames: ['queue', 'result']
+});
+
+registry.gauge({
+    name: 'process_uptime_seconds',
+    help: 'Sürecin çalışma süresi (saniye)',
+    collect: () => process.uptime()
+});
+
+registry.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Sürecin kullandığı bellek (RSS, byte)',
+    collect: () => process.memoryUsage().rss
+});
+
+registry.gauge({
+    name: 'nodejs_heap_used_bytes',
+    help: 'Kullanılan V8 heap (byte)',
+    collect: () => process.memoryUsage().heapUsed
+});
+
+// Route etiketi tanımlı path'ten (/api/users/:id) alınır; gerçek URL kullanılsaydı her id yeni bir seri açardı
+function routeLabel(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+// Express middleware'i: istek sayısı ve süresi; en başta eklenir
+function httpMetrics(req, res, next) {
+    const end = httpRequestDuration.startTimer();
+
+    res.on('finish', () => {
+        const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+        httpRequestsTotal.inc(labels);
+        end(labels);
+    });
+    next();
+}
+
+// Consumer handler'ını sarar: işlenen/hatalı mesaj sayısı ve işleme süresi
+async function observeConsume(queue, handler) {
+    const end = queueProcessingDuration.startTimer({ queue });
+    try {
+        const result = await handler();
+        queueMessagesConsumed.inc({ queue });
+        end({ result: 'success' });
+        return result;
+    } catch (error) {
+        queueMessagesFailed.inc({ queue });
+        end({ result: 'error' });
+        throw error;
+    }
+}
+
+function recordPublish(queue) {
+    queueMessagesPublished.inc({ queue });
+}
+
+// GET /metrics handler'ı
+function metricsHandler(req, res) {
+    res.type(PROMETHEUS_CONTENT_TYPE).send(registry.render());
+}
+
+module.exports = {
+    PROMETHEUS_CONTENT_TYPE,
+    registry,
+    httpMetrics,
+    observeConsume,
+    recordPublish,
+    metricsHandler
+};
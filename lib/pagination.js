@@ -0,0 +1,203 @@
+// lib/pagination.js - Whitelist'li sıralama, opak cursor pagination ve RFC 8288 Link header'ları
+const mongoose = require('mongoose');
+const { BadRequestError } = require('./errors');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+class PaginationError extends BadRequestError {
+    // options: { code, params }; code verilmezse genel INVALID_PAGINATION kodu kullanılır
+    constructor(message, { code = 'INVALID_PAGINATION', params } = {}) {
+        super(message, { code, params });
+    }
+}
+
+function parseLimit(limit) {
+    if (limit === undefined) {
+        return DEFAULT_LIMIT;
+    }
+    const limitNum = Number(limit);
+    if (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > MAX_LIMIT) {
+        throw new PaginationError(`limit 1 ile ${MAX_LIMIT} arasında bir tam sayı olmalıdır`, { code: 'INVALID_LIMIT', params: { max: MAX_LIMIT } });
+    }
+    return limitNum;
+}
+
+// "age,-createdAt" veya "age:asc,createdAt:desc" -> [{ field, direction }]
+// Eşitlikte sıranın kararlı olması için sona her zaman _id eklenir.
+function parseSort(sortParam, allowedFields, defaultSort) {
+    const parts = String(sortParam || defaultSort).split(',').map(part => part.trim()).filter(Boolean);
+    const keys = [];
+
+    for (const part of parts) {
+        let field = part;
+        let direction = 1;
+
+        if (part.startsWith('-')) {
+            field = part.slice(1);
+            direction = -1;
+        } else if (part.includes(':')) {
+            const [name, order] = part.split(':');
+            if (!['asc', 'desc'].includes(order)) {
+                throw new PaginationError(`Geçersiz sıralama yönü: ${order} (asc veya desc)`, { code: 'INVALID_SORT_ORDER', params: { order } });
+            }
+            field = name;
+            direction = order === 'desc' ? -1 : 1;
+        }
+
+        if (!allowedFields.includes(field)) {
+            throw new PaginationError(`Bu alana göre sıralama yapılamaz: ${field}. İzin verilenler: ${allowedFields.join(', ')}`, {
+                code: 'INVALID_SORT_FIELD',
+                params: { field, allowed: allowedFields.join(', ') }
+            });
+        }
+        if (keys.some(key => key.field === field)) {
+            throw new PaginationError(`Sıralama alanı tekrar edilmiş: ${field}`, { code: 'DUPLICATE_SORT_FIELD', params: { field } });
+        }
+
+        keys.push({ field, direction });
+    }
+
+    keys.push({ field: '_id', direction: keys.length > 0 ? keys[keys.length - 1].direction : 1 });
+    return keys;
+}
+
+function toMongoSort(keys, reverse = false) {
+    const sort = {};
+    for (const key of keys) {
+        sort[key.field] = reverse ? -key.direction : key.direction;
+    }
+    return sort;
+}
+
+function sortSignature(keys) {
+    return keys.map(key => `${key.direction < 0 ? '-' : ''}${key.field}`).join(',');
+}
+
+// Date ve ObjectId JSON'da tipini kaybetmesin
+function encodeValue(value) {
+    if (value instanceof Date) {
+        return { $d: value.toISOString() };
+    }
+    if (value instanceof mongoose.Types.ObjectId) {
+        return { $o: value.toHexString() };
+    }
+    return value === undefined ? null : value;
+}
+
+function decodeValue(value) {
+    if (value && typeof value === 'object') {
+        if (typeof value.$d === 'string') {
+            return new Date(value.$d);
+        }
+        if (typeof value.$o === 'string' && mongoose.Types.ObjectId.isValid(value.$o)) {
+            return new mongoose.Types.ObjectId(value.$o);
+        }
+        throw new PaginationError('Geçersiz cursor', { code: 'INVALID_CURSOR' });
+    }
+    return value;
+}
+
+function encodeCursor(doc, keys, direction) {
+    const payload = {
+        s: sortSignature(keys),
+        d: direction,
+        v: keys.map(key => encodeValue(doc.get ? doc.get(key.field) : doc[key.field]))
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, keys) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new PaginationError('Geçersiz cursor', { code: 'INVALID_CURSOR' });
+    }
+
+    if (!payload || !Array.isArray(payload.v) || payload.v.length !== keys.length || !['next', 'prev'].includes(payload.d)) {
+        throw new PaginationError('Geçersiz cursor', { code: 'INVALID_CURSOR' });
+    }
+    if (payload.s !== sortSignature(keys)) {
+        throw new PaginationError('Cursor farklı bir sıralama ile üretilmiş, sort parametresini değiştirmeyin', { code: 'CURSOR_SORT_MISMATCH' });
+    }
+
+    return { direction: payload.d, values: payload.v.map(decodeValue) };
+}
+
+// (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... - sıralama yönüne göre $gt/$lt
+function buildKeysetFilter(keys, values, reverse) {
+    const branches = keys.map((key, index) => {
+        const branch = {};
+        for (let i = 0; i < index; i++) {
+            branch[keys[i].field] = values[i];
+        }
+        const ascending = (reverse ? -key.direction : key.direction) > 0;
+        branch[key.field] = { [ascending ? '$gt' : '$lt']: values[index] };
+        return branch;
+    });
+    return { $or: branches };
+}
+
+async function paginateWithCursor(Model, filter, { keys, limit, cursor, includeTotal = false }) {
+    const decoded = cursor ? decodeCursor(cursor, keys) : null;
+    const reverse = decoded?.direction === 'prev';
+
+    const query = decoded
+        ? { $and: [filter, buildKeysetFilter(keys, decoded.values, reverse)] }
+        : filter;
+
+    let docs = await Model.find(query)
+        .sort(toMongoSort(keys, reverse))
+        .limit(limit + 1);
+
+    const hasMore = docs.length > limit;
+    docs = docs.slice(0, limit);
+    if (reverse) {
+        docs.reverse();
+    }
+
+    // Geri giderken geldiğimiz sayfa her zaman "sonraki"dir
+    const hasNext = reverse ? true : hasMore;
+    const hasPrev = reverse ? hasMore : Boolean(decoded);
+
+    return {
+        data: docs,
+        hasNext,
+        hasPrev,
+        nextCursor: hasNext && docs.length > 0 ? encodeCursor(docs[docs.length - 1], keys, 'next') : null,
+        prevCursor: hasPrev && docs.length > 0 ? encodeCursor(docs[0], keys, 'prev') : null,
+        total: includeTotal ? await Model.countDocuments(filter) : undefined
+    };
+}
+
+// links: { next: { cursor: '...' }, first: { page: 1 }, ... }; null değerli parametreler URL'den çıkarılır
+function buildLinkHeader(req, links) {
+    const base = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+
+    return Object.entries(links)
+        .filter(([, params]) => params)
+        .map(([rel, params]) => {
+            const url = new URL(base);
+            for (const [name, value] of Object.entries(params)) {
+                if (value === null || value === undefined) {
+                    url.searchParams.delete(name);
+                } else {
+                    url.searchParams.set(name, String(value));
+                }
+            }
+            return `<${url.toString()}>; rel="${rel}"`;
+        })
+        .join(', ');
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    PaginationError,
+    parseLimit,
+    parseSort,
+    toMongoSort,
+    paginateWithCursor,
+    buildLinkHeader
+};
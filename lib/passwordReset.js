@@ -0,0 +1,39 @@
+// lib/passwordReset.js - Şifre sıfırlama token'larının üretilmesi ve tüketilmesi
+const PasswordResetToken = require('../models/passwordResetToken');
+const { hashToken, generateToken } = require('./tokens');
+
+// Email şablonundaki "1 saat" ifadesiyle aynı olmalı
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+// Kullanıcının kullanılmamış eski token'larını silip yenisini üretir, düz token'ı döner
+async function createPasswordResetToken(userId, ip) {
+    const token = generateToken();
+
+    await PasswordResetToken.deleteMany({ user: userId, usedAt: null });
+    await PasswordResetToken.create({
+        user: userId,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS),
+        requestedByIp: ip
+    });
+
+    return token;
+}
+
+// Token geçerliyse atomik olarak kullanıldı işaretler ve kaydı döner, değilse null
+async function consumePasswordResetToken(token) {
+    return PasswordResetToken.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { usedAt: new Date() },
+        { new: true }
+    );
+}
+
+module.exports = {
+    createPasswordResetToken,
+    consumePasswordResetToken
+};
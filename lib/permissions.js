@@ -0,0 +1,85 @@
+// lib/permissions.js - Rol tanımları ve route bazlı yetki kontrolü
+const { UnauthorizedError, ForbiddenError } = require('./errors');
+
+const ROLES = ['user', 'admin'];
+
+// İzin -> bu izne sahip roller
+const PERMISSIONS = {
+    'users:update': ['admin'],
+    'users:delete': ['admin'],
+    'users:manage-roles': ['admin'],
+    'users:manage-status': ['admin'],
+    'users:trash': ['admin'],
+    'users:restore': ['admin'],
+    'users:stats': ['admin'],
+    'users:analytics': ['admin'],
+    'users:import': ['admin'],
+    'users:export': ['admin'],
+    'users:history': ['admin'],
+    'users:revert': ['admin'],
+    'api-keys:manage': ['admin'],
+    'logs:read': ['admin'],
+    'queues:read': ['admin']
+};
+
+function hasPermission(role, permission) {
+    const allowedRoles = PERMISSIONS[permission];
+    if (!allowedRoles) {
+        throw new Error(`Tanımsız izin: ${permission}`);
+    }
+    return allowedRoles.includes(role);
+}
+
+// API anahtarına bu işlem için scope verilmemiş
+function insufficientScope(scope) {
+    return new ForbiddenError('Bu API anahtarının bu işlem için yetkisi yok', {
+        code: 'INSUFFICIENT_SCOPE',
+        requiredPermission: scope
+    });
+}
+
+// authenticate'den sonra kullanılır.
+// options.owner: (req) => kaynağın sahibinin id'si; sahibi ise izin aranmaz
+function authorize(permission, options = {}) {
+    // Yanlış yazılmış izin isimleri uygulama açılırken patlasın
+    if (!PERMISSIONS[permission]) {
+        throw new Error(`Tanımsız izin: ${permission}`);
+    }
+
+    const middleware = (req, res, next) => {
+        if (!req.user) {
+            return next(new UnauthorizedError());
+        }
+
+        // API anahtarlarında rol yerine anahtara verilen scope'lar geçerlidir
+        if (req.apiKey) {
+            if (!req.apiKey.scopes.includes(permission)) {
+                return next(insufficientScope(permission));
+            }
+            return next();
+        }
+
+        if (options.owner && String(options.owner(req)) === String(req.user.id)) {
+            return next();
+        }
+
+        if (!hasPermission(req.user.role, permission)) {
+            return next(new ForbiddenError(undefined, { requiredPermission: permission }));
+        }
+
+        next();
+    };
+
+    // Doküman üretimi için (lib/apiDocs)
+    middleware.permission = permission;
+    middleware.allowsOwner = Boolean(options.owner);
+    return middleware;
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    hasPermission,
+    insufficientScope,
+    authorize
+};
@@ -0,0 +1,184 @@
+// lib/rateLimit.js - Sabit pencereli rate limiting: HTTP middleware'i, socket event bütçesi ve değiştirilebilir sayaç deposu
+const RateLimitCounter = require('../models/rateLimitCounter');
+const { config } = require('./config');
+const { TooManyRequestsError } = require('./errors');
+const { translate } = require('./i18n');
+const { logger } = require('./logger');
+
+// Sayaç deposu arayüzü: increment(key, windowMs) -> { count, resetAt }
+// Aynı pencere içindeki her çağrı sayacı 1 artırır; pencere bitince sayaç sıfırdan başlar.
+class MemoryRateLimitStore {
+    constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+        this.counters = new Map();
+
+        // Süresi dolmuş pencereleri temizle
+        this.cleanupTimer = setInterval(() => {
+            const now = Date.now();
+            for (const [key, counter] of this.counters) {
+                if (counter.resetAt <= now) {
+                    this.counters.delete(key);
+                }
+            }
+        }, cleanupIntervalMs);
+        this.cleanupTimer.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let counter = this.counters.get(key);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            this.counters.set(key, counter);
+        }
+        counter.count++;
+        return { count: counter.count, resetAt: counter.resetAt };
+    }
+}
+
+// Tüm instance'lar aynı MongoDB'yi kullandığı için limitler ortak tutulur
+class MongoRateLimitStore {
+    async increment(key, windowMs) {
+        const window = Math.floor(Date.now() / windowMs);
+        const resetAt = (window + 1) * windowMs;
+
+        const increment = () => RateLimitCounter.findOneAndUpdate(
+            { _id: `${key}:${window}` },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+            { upsert: true, new: true, lean: true }
+        );
+
+        let counter;
+        try {
+            counter = await increment();
+        } catch (error) {
+            // Aynı anda iki upsert: biri duplicate key alır, kayıt artık var
+            if (error.code !== 11000) {
+                throw error;
+            }
+            counter = await increment();
+        }
+        return { count: counter.count, resetAt };
+    }
+}
+
+// RATE_LIMIT_STORE=mongo ile çoklu instance kurulumlarında paylaşılan depo kullanılır
+function createRateLimitStore(type = config.rateLimit.store) {
+    if (type === 'mongo') {
+        return new MongoRateLimitStore();
+    }
+    if (type === 'memory') {
+        return new MemoryRateLimitStore();
+    }
+    throw new Error(`Bilinmeyen rate limit deposu: ${type} (memory veya mongo)`);
+}
+
+const KEY_GENERATORS = {
+    ip: req => `ip:${req.ip}`,
+    // API anahtarı veya kullanıcı; giriş yapılmamışsa IP'ye düşer
+    user: (req) => {
+        if (req.apiKey) {
+            return `apikey:${req.apiKey.id}`;
+        }
+        return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    }
+};
+
+// HTTP middleware'i. IETF RateLimit header'ları (draft-ietf-httpapi-ratelimit-headers) ve limit aşılınca 429 + Retry-After.
+// keyBy: 'ip' | 'user' | (req) => string
+function rateLimit({ name, windowMs, max, keyBy = 'ip', store, message = 'Çok fazla istek gönderdiniz, lütfen biraz sonra tekrar deneyin', code = 'RATE_LIMITED' }) {
+    const keyGenerator = typeof keyBy === 'function' ? keyBy : KEY_GENERATORS[keyBy];
+    if (!keyGenerator) {
+        throw new Error(`Geçersiz rate limit anahtarı: ${keyBy}`);
+    }
+
+    return async (req, res, next) => {
+        let result;
+        try {
+            result = await store.increment(`${name}:${keyGenerator(req)}`, windowMs);
+        } catch (error) {
+            // Depo erişilemezse istekleri engelleme (fail open)
+            logger.error('Rate limit sayacı okunamadı', { error });
+            return next();
+        }
+
+        const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+        res.set({
+            'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(Math.max(0, max - result.count)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (result.count > max) {
+            res.set('Retry-After', String(resetSeconds));
+            return next(new TooManyRequestsError(message, { code, retryAfter: resetSeconds }));
+        }
+
+        next();
+    };
+}
+
+// İki sunucunun da kullandığı HTTP limitleri; sayılar env ile değiştirilebilir (config.rateLimit)
+function createApiLimiters(store, limits = config.rateLimit) {
+    const { windowMs } = limits;
+
+    return {
+        ip: rateLimit({ name: 'api', windowMs, max: limits.ipMax, keyBy: 'ip', store }),
+        user: rateLimit({ name: 'users', windowMs, max: limits.userMax, keyBy: 'user', store }),
+        // Her kullanıcı oluşturma 4 kuyruk mesajı üretir
+        createUser: rateLimit({ name: 'create-user', windowMs, max: limits.createUserMax, keyBy: 'user', store }),
+        login: rateLimit({
+            name: 'login',
+            windowMs: 15 * 60 * 1000,
+            max: limits.loginMax,
+            keyBy: 'ip',
+            store,
+            message: 'Çok fazla giriş denemesi, lütfen 15 dakika sonra tekrar deneyin',
+            code: 'TOO_MANY_LOGIN_ATTEMPTS'
+        }),
+        register: rateLimit({ name: 'register', windowMs: 60 * 60 * 1000, max: limits.registerMax, keyBy: 'ip', store }),
+        forgotPassword: rateLimit({ name: 'forgot-password', windowMs: 60 * 60 * 1000, max: limits.forgotPasswordMax, keyBy: 'ip', store })
+    };
+}
+
+// Socket event bütçesi: socket.use ile her gelen event'i sayar.
+// budgets: { 'send-message': { windowMs, max }, '*': { windowMs, max } } - '*' diğer tüm event'ler için
+function socketRateLimit({ budgets, store, keyBy = socket => socket.handshake.address }) {
+    return (socket) => {
+        socket.use(async ([event], next) => {
+            const budget = budgets[event] || budgets['*'];
+            if (!budget) {
+                return next();
+            }
+
+            let result;
+            try {
+                const scope = budgets[event] ? event : '*';
+                result = await store.increment(`socket:${scope}:${keyBy(socket)}`, budget.windowMs);
+            } catch (error) {
+                logger.error('Socket rate limit sayacı okunamadı', { error });
+                return next();
+            }
+
+            if (result.count > budget.max) {
+                // Event işlenmez, istemci bilgilendirilir
+                return socket.emit('rate-limited', {
+                    event,
+                    message: translate(socket.data.locale, 'socket.rateLimited'),
+                    retryAfter: Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000))
+                });
+            }
+
+            next();
+        });
+    };
+}
+
+module.exports = {
+    MemoryRateLimitStore,
+    MongoRateLimitStore,
+    createRateLimitStore,
+    rateLimit,
+    createApiLimiters,
+    socketRateLimit
+};
@@ -0,0 +1,54 @@
+// lib/requestContext.js - İstek boyunca (Mongoose hook'ları dahil) erişilebilen bağlam: request id ve giriş yapan kullanıcı
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+// İstemciden gelen id'yi sadece makul formattaysa kabul et (log injection'a karşı)
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// RabbitMQ mesaj header'ı; publisher ve consumer'lar aynı adı kullanır
+const REQUEST_ID_HEADER = 'x-request-id';
+
+function resolveRequestId(incomingId) {
+    return typeof incomingId === 'string' && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+}
+
+function requestContext(req, res, next) {
+    const requestId = resolveRequestId(req.get('X-Request-Id'));
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    // req referansı tutulur; req.user authenticate middleware'inde sonradan set edilir
+    storage.run({ requestId, req }, next);
+}
+
+function getRequestContext() {
+    return storage.getStore();
+}
+
+// Kuyruğa gönderilen mesajın header'ları: isteğin id'si worker loglarına taşınır
+function messageHeaders() {
+    const context = storage.getStore();
+    return context ? { [REQUEST_ID_HEADER]: context.requestId } : {};
+}
+
+// Consumer'da handler'ı mesajın request id'siyle çalıştırır (header yoksa yeni id üretilir)
+function runWithMessageContext(msg, handler) {
+    const headers = (msg && msg.properties && msg.properties.headers) || {};
+    return storage.run({ requestId: resolveRequestId(headers[REQUEST_ID_HEADER]) }, handler);
+}
+
+// Body parser gibi stream event'lerinden next() çağıran middleware'ler bağlamı kaybettirir
+function preserveContext(middleware) {
+    return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+module.exports = {
+    requestContext,
+    getRequestContext,
+    messageHeaders,
+    runWithMessageContext,
+    preserveContext
+};
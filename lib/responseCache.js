@@ -0,0 +1,122 @@
+// lib/responseCache.js - GET endpoint'leri için JSON response önbelleği (Cache-Control + Cache-Status header'ları)
+const { LruCache, queryCacheKey } = require('./cache');
+const { logger } = require('./logger');
+
+// Önbellekle birlikte saklanan response header'ları
+const CACHED_HEADERS = ['link'];
+
+// Varsayılan backend: süreç içi LRU. Başka bir backend (ör. Redis) aynı async arayüzü sağlamalı:
+//   get(key) -> entry | undefined, set(key, entry, ttlMs), deleteByPrefix(prefix)
+class MemoryCacheStore {
+    constructor({ max = 500 } = {}) {
+        this.lru = new LruCache({ max });
+    }
+
+    async get(key) {
+        return this.lru.get(key);
+    }
+
+    async set(key, entry, ttlMs) {
+        this.lru.set(key, entry, ttlMs);
+    }
+
+    async deleteByPrefix(prefix) {
+        for (const key of [...this.lru.keys()]) {
+            if (key.startsWith(prefix)) {
+                this.lru.delete(key);
+            }
+        }
+    }
+}
+
+class ResponseCache {
+    constructor({ store = new MemoryCacheStore(), name = 'api' } = {}) {
+        this.store = store;
+        // RFC 9211 Cache-Status header'ındaki önbellek adı
+        this.name = name;
+        // Hesaplama sürerken invalidate edilen sonuçların yazılmasını engellemek için
+        this.generation = 0;
+    }
+
+    // Route middleware'i. Sadece 200 JSON response'lar saklanır.
+    // İstemci "Cache-Control: no-cache" gönderirse önbellek okunmaz, sonuç yenilenir.
+    // Cevaplar isteğin dilinde üretildiği için anahtar çözülmüş dili (req.locale) de içerir.
+    route(namespace, { ttlMs }) {
+        const middleware = async (req, res, next) => {
+            const key = queryCacheKey(`${namespace}:${req.locale || ''}:${req.path}`, req.query);
+            res.vary('Accept-Language');
+            const bypass = /no-cache|no-store/.test(req.get('Cache-Control') || '');
+
+            if (!bypass) {
+                try {
+                    const entry = await this.store.get(key);
+                    if (entry) {
+                        const remaining = Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+                        res.set(entry.headers);
+                        res.set('Cache-Control', `private, max-age=${remaining}`);
+                        res.set('Cache-Status', `${this.name}; hit; ttl=${remaining}`);
+                        return res.status(entry.status).json(entry.body);
+                    }
+                } catch (error) {
+                    // Önbellek erişilemezse istek normal şekilde işlenir
+                    logger.error('Önbellek okunamadı', { error });
+                }
+            }
+
+            const forward = bypass ? 'request' : 'miss';
+            const generation = this.generation;
+            const json = res.json.bind(res);
+
+            res.json = (body) => {
+                if (res.statusCode === 200 && generation === this.generation) {
+                    const headers = {};
+                    for (const header of CACHED_HEADERS) {
+                        if (res.get(header)) {
+                            headers[header] = res.get(header);
+                        }
+                    }
+
+                    this.store.set(key, { status: 200, headers, body, expiresAt: Date.now() + ttlMs }, ttlMs)
+                        .catch(error => logger.error('Önbelleğe yazılamadı', { error }));
+
+                    res.set('Cache-Control', `private, max-age=${Math.floor(ttlMs / 1000)}`);
+                    res.set('Cache-Status', `${this.name}; fwd=${forward}; stored`);
+                } else {
+                    res.set('Cache-Control', 'no-store');
+                    res.set('Cache-Status', `${this.name}; fwd=${forward}`);
+                }
+                return json(body);
+            };
+
+            next();
+        };
+        // documented() doğrulamayı bu middleware'den önce ekler
+        middleware.cacheNamespace = namespace;
+        return middleware;
+    }
+
+    // namespace ile başlayan tüm kayıtları sil
+    async invalidate(namespace) {
+        this.generation++;
+        await this.store.deleteByPrefix(namespace);
+    }
+}
+
+// Modeldeki her yazma işleminden sonra ilgili önbellek kayıtlarını siler.
+// Route yerine model seviyesinde olduğu için kayıt, doğrulama, import ve purge gibi tüm yollar kapsanır.
+function cacheInvalidationPlugin(schema, { cache, namespace }) {
+    const invalidate = () => {
+        cache.invalidate(namespace)
+            .catch(error => logger.error('Önbellek temizlenemedi', { error, namespace }));
+    };
+
+    schema.post('save', invalidate);
+    schema.post(['findOneAndUpdate', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany', 'findOneAndDelete'], invalidate);
+    schema.post('insertMany', invalidate);
+}
+
+module.exports = {
+    MemoryCacheStore,
+    ResponseCache,
+    cacheInvalidationPlugin
+};
@@ -0,0 +1,95 @@
+// lib/search.js - Türkçe'ye duyarlı arama alanları, metin indeksi ve güvenli regex yardımcıları
+
+// "İŞLEM Iğdır" -> "islem igdir": Türkçe küçük harf kuralları + aksan/işaretlerin atılması
+function foldTurkish(value) {
+    return String(value)
+        .toLocaleLowerCase('tr-TR')
+        .replace(/ı/g, 'i')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim();
+}
+
+// Kullanıcı girdisini $regex içinde düz metin olarak kullanmak için
+function escapeRegex(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function searchFieldsFor(name) {
+    const searchName = foldTurkish(name || '');
+    return {
+        searchName,
+        nameKeywords: [...new Set(searchName.split(/\s+/).filter(Boolean))]
+    };
+}
+
+// name'den türetilen arama alanlarını ekler ve güncel tutar.
+// searchName: metin indeksi ve "içerir" filtresi, nameKeywords: prefix (autocomplete) araması
+function searchPlugin(schema) {
+    schema.add({
+        searchName: { type: String, select: false },
+        nameKeywords: { type: [String], select: false, index: true }
+    });
+
+    schema.index(
+        { searchName: 'text', email: 'text' },
+        {
+            name: 'user_text_search',
+            weights: { searchName: 10, email: 5 },
+            // Türkçe stemming yerine kendi normalizasyonumuzu kullanıyoruz
+            default_language: 'none'
+        }
+    );
+
+    schema.pre('save', function(next) {
+        if (this.isNew || this.isModified('name')) {
+            Object.assign(this, searchFieldsFor(this.name));
+        }
+        next();
+    });
+
+    schema.pre(['findOneAndUpdate', 'updateOne'], function() {
+        const update = this.getUpdate();
+        if (!update || Array.isArray(update)) {
+            return;
+        }
+        const name = update.$set?.name ?? update.name;
+        if (name !== undefined) {
+            update.$set = { ...update.$set, ...searchFieldsFor(name) };
+            this.setUpdate(update);
+        }
+    });
+}
+
+// Arama alanları olmayan (plugin'den önce oluşturulmuş) kayıtları doldur
+async function backfillSearchFields(Model, batchSize = 500) {
+    let updated = 0;
+
+    for (;;) {
+        const docs = await Model.find({ searchName: { $exists: false } })
+            .select('name')
+            .limit(batchSize)
+            .lean();
+
+        if (docs.length === 0) {
+            break;
+        }
+
+        await Model.bulkWrite(docs.map(doc => ({
+            updateOne: {
+                filter: { _id: doc._id },
+                update: { $set: searchFieldsFor(doc.name) }
+            }
+        })));
+        updated += docs.length;
+    }
+
+    return updated;
+}
+
+module.exports = {
+    foldTurkish,
+    escapeRegex,
+    searchPlugin,
+    backfillSearchFields
+};
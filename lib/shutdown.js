@@ -0,0 +1,118 @@
+// lib/shutdown.js - SIGTERM/SIGINT'te adım adım kapanış (graceful shutdown)
+// Adımlar kayıt sırasıyla çalışır; her adımın kendi süre sınırı vardır, süresi dolan ya da hata veren adım
+// loglanır ve sonraki adıma geçilir. Toplam süre SHUTDOWN_TIMEOUT_MS'i aşarsa process zorla kapatılır.
+// İkinci sinyal (ör. Ctrl+C'ye tekrar basmak) beklemeden çıkar.
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+const SHUTDOWN_TIMEOUT_MS = config.shutdown.timeoutMs;
+const STEP_TIMEOUT_MS = 10 * 1000;
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${ms}ms içinde tamamlanmadı`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Devam eden işleri (kuyruk mesajları, arka plan import'ları) sayar; drain() hepsi bitince resolve olur
+class InFlightTracker {
+    constructor() {
+        this.count = 0;
+        this.waiters = [];
+    }
+
+    async track(task) {
+        this.count++;
+        try {
+            return await task();
+        } finally {
+            this.count--;
+            if (this.count === 0) {
+                this.waiters.splice(0).forEach(resolve => resolve());
+            }
+        }
+    }
+
+    drain() {
+        return this.count === 0 ? Promise.resolve() : new Promise(resolve => this.waiters.push(resolve));
+    }
+}
+
+// Yeni bağlantı kabulünü durdurur; promise aktif istekler bitince resolve olur
+function closeServer(server) {
+    return new Promise((resolve, reject) => {
+        if (!server.listening) {
+            return resolve();
+        }
+        server.close(error => (error ? reject(error) : resolve()));
+        // Keep-alive ile boşta bekleyen bağlantılar close()'u bekletmesin
+        server.closeIdleConnections();
+    });
+}
+
+function createShutdown({ timeoutMs = SHUTDOWN_TIMEOUT_MS } = {}) {
+    const steps = [];
+    let shuttingDown = false;
+
+    // run: () => Promise | void
+    function register(name, run, { timeoutMs: stepTimeoutMs = STEP_TIMEOUT_MS } = {}) {
+        steps.push({ name, run, timeoutMs: stepTimeoutMs });
+    }
+
+    async function shutdown(signal) {
+        if (shuttingDown) {
+            logger.warn('Kapanış sürerken ikinci sinyal alındı, zorla çıkılıyor', { signal });
+            process.exit(1);
+        }
+        shuttingDown = true;
+        logger.info('Kapanış başladı', { signal, timeoutMs });
+
+        const forceExit = setTimeout(() => {
+            logger.error('Kapanış süre sınırını aştı, zorla çıkılıyor', { timeoutMs });
+            process.exit(1);
+        }, timeoutMs);
+        forceExit.unref();
+
+        let failed = false;
+        for (const step of steps) {
+            const startedAt = Date.now();
+            try {
+                await withTimeout(Promise.resolve().then(step.run), step.timeoutMs);
+                logger.info('Kapanış adımı tamamlandı', { step: step.name, durationMs: Date.now() - startedAt });
+            } catch (error) {
+                failed = true;
+                logger.error('Kapanış adımı başarısız', { step: step.name, durationMs: Date.now() - startedAt, error });
+            }
+        }
+
+        logger.info('Kapanış tamamlandı');
+        process.exit(failed ? 1 : 0);
+    }
+
+    // Kapanış sırasında verilen cevaplar bağlantıyı kapatır; istemci yeni isteği başka instance'a açar
+    function middleware(req, res, next) {
+        if (shuttingDown) {
+            res.set('Connection', 'close');
+        }
+        next();
+    }
+
+    function listen(signals = ['SIGTERM', 'SIGINT']) {
+        signals.forEach(signal => process.on(signal, () => shutdown(signal)));
+    }
+
+    return {
+        register,
+        middleware,
+        listen,
+        isShuttingDown: () => shuttingDown
+    };
+}
+
+module.exports = {
+    InFlightTracker,
+    closeServer,
+    createShutdown
+};
@@ -0,0 +1,36 @@
+// lib/softDelete.js - Silinen kayıtları varsayılan olarak sorgulardan gizleyen Mongoose plugin'i
+const mongoose = require('mongoose');
+
+// Sorgu filtresinde veya aggregate'in ilk $match aşamasında deletedAt açıkça
+// belirtilmişse (ör. çöp kutusu listesi) otomatik filtre eklenmez.
+function softDeletePlugin(schema) {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    });
+
+    function excludeDeleted() {
+        if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+            this.where({ deletedAt: null });
+        }
+    }
+
+    schema.pre(/^find/, excludeDeleted);
+    schema.pre('countDocuments', excludeDeleted);
+
+    schema.pre('aggregate', function() {
+        const firstStage = this.pipeline()[0];
+        if (!firstStage || !firstStage.$match || !Object.prototype.hasOwnProperty.call(firstStage.$match, 'deletedAt')) {
+            this.pipeline().unshift({ $match: { deletedAt: null } });
+        }
+    });
+}
+
+module.exports = softDeletePlugin;
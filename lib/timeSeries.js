@@ -0,0 +1,144 @@
+// lib/timeSeries.js - IANA saat dilimine göre zaman aralıklarını (hour/day/week/month) bölme ve boş aralıkları doldurma
+// MongoDB'deki $dateTrunc ile aynı aralık başlangıçlarını üretir (hafta pazartesi başlar).
+const { BadRequestError } = require('./errors');
+
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+// Tek istekte üretilecek en fazla aralık sayısı
+const MAX_BUCKETS = 1000;
+
+class TimeSeriesError extends BadRequestError {
+    // options: { code, params }; code verilmezse genel INVALID_TIME_RANGE kodu kullanılır
+    constructor(message, { code = 'INVALID_TIME_RANGE', params } = {}) {
+        super(message, { code, params });
+    }
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// UTC zaman damgasının o saat dilimindeki duvar saati karşılığı
+function getZonedParts(timestamp, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(timestamp))) {
+        if (type !== 'literal') {
+            parts[type] = Number(value);
+        }
+    }
+    return parts;
+}
+
+function offsetAt(timestamp, timeZone) {
+    const parts = getZonedParts(timestamp, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Duvar saati -> UTC. Yaz saati geçişlerinde offset değişebildiği için bir kez daha düzeltilir.
+function zonedTimeToUtc({ year, month, day, hour = 0 }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour);
+    const firstGuess = wallClock - offsetAt(wallClock, timeZone);
+    const offset = offsetAt(firstGuess, timeZone);
+    return wallClock - offset;
+}
+
+// Tarihi içinde bulunduğu aralığın başına indirir
+function truncate(timestamp, interval, timeZone) {
+    const parts = getZonedParts(timestamp, timeZone);
+
+    switch (interval) {
+        case 'hour':
+            return zonedTimeToUtc({ ...parts }, timeZone);
+        case 'day':
+            return zonedTimeToUtc({ ...parts, hour: 0 }, timeZone);
+        case 'week': {
+            // getUTCDay: 0 = pazar; pazartesiye kadar geri git
+            const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+            const monday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day - ((weekday + 6) % 7)));
+            return zonedTimeToUtc({
+                year: monday.getUTCFullYear(),
+                month: monday.getUTCMonth() + 1,
+                day: monday.getUTCDate()
+            }, timeZone);
+        }
+        case 'month':
+            return zonedTimeToUtc({ year: parts.year, month: parts.month, day: 1 }, timeZone);
+        default:
+            throw new TimeSeriesError(`Geçersiz aralık: ${interval}`, { code: 'INVALID_INTERVAL', params: { interval } });
+    }
+}
+
+// Bir sonraki aralığın başlangıcı. Gün/hafta/ay yerel takvime göre ilerler (23/25 saatlik günler dahil).
+function nextBucket(timestamp, interval, timeZone) {
+    if (interval === 'hour') {
+        return timestamp + 60 * 60 * 1000;
+    }
+
+    const parts = getZonedParts(timestamp, timeZone);
+    const next = new Date(Date.UTC(
+        parts.year,
+        parts.month - 1 + (interval === 'month' ? 1 : 0),
+        parts.day + (interval === 'day' ? 1 : interval === 'week' ? 7 : 0)
+    ));
+
+    return zonedTimeToUtc({
+        year: next.getUTCFullYear(),
+        month: next.getUTCMonth() + 1,
+        day: next.getUTCDate()
+    }, timeZone);
+}
+
+// [from, to) aralığını kapsayan aralık başlangıçları
+function buildBuckets(from, to, interval, timeZone) {
+    const buckets = [];
+    for (let start = truncate(from.getTime(), interval, timeZone); start < to.getTime(); start = nextBucket(start, interval, timeZone)) {
+        if (buckets.length >= MAX_BUCKETS) {
+            throw new TimeSeriesError(`Çok fazla aralık (en fazla ${MAX_BUCKETS}). Tarih aralığını daraltın veya daha büyük bir interval seçin.`, {
+                code: 'TOO_MANY_BUCKETS',
+                params: { max: MAX_BUCKETS }
+            });
+        }
+        buckets.push(start);
+    }
+    return buckets;
+}
+
+// Aggregate sonucunu ({ _id: Date, count }) aralık listesine yerleştirir, eksikleri 0 yapar
+function fillBuckets(buckets, rows) {
+    const counts = new Map(rows.map(row => [new Date(row._id).getTime(), row.count]));
+    return buckets.map(start => ({
+        start: new Date(start),
+        count: counts.get(start) || 0
+    }));
+}
+
+module.exports = {
+    INTERVALS,
+    TimeSeriesError,
+    isValidTimeZone,
+    buildBuckets,
+    fillBuckets
+};
@@ -0,0 +1,16 @@
+// lib/tokens.js - Tek kullanımlık token üretimi ve hash'leme yardımcıları
+const crypto = require('crypto');
+
+// Veritabanında sadece hash saklanır; token sızsa bile kayıtlardan geri üretilemez
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+module.exports = {
+    hashToken,
+    generateToken
+};
@@ -0,0 +1,184 @@
+// lib/userImport.js - CSV/NDJSON kullanıcı import'u: satır doğrulama, dry-run, email ile upsert
+const ImportJob = require('../models/importJob');
+const { parseCsv } = require('./csv');
+const { toHttpError } = require('./errors');
+const { DEFAULT_LOCALE, createTranslator } = require('./i18n');
+const { generateToken } = require('./tokens');
+const { logger } = require('./logger');
+
+// Import ile yazılabilen alanlar (role bilinçli olarak dışarıda)
+const IMPORT_FIELDS = ['name', 'email', 'phone', 'age', 'status'];
+const IMPORT_CHUNK_SIZE = 100;
+const MAX_REPORTED_ERRORS = 1000;
+
+// Metni { row, data } / { row, parseError } kayıtlarına çevirir. row: dosyadaki satır numarası
+// t: satır hatalarının yazılacağı dildeki çevirici (req.t)
+function parseImportPayload(text, format, t = createTranslator(DEFAULT_LOCALE)) {
+    if (format === 'csv') {
+        // 1. satır başlık
+        return parseCsv(text).map((data, index) => ({ row: index + 2, data }));
+    }
+
+    const records = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) {
+            return;
+        }
+        try {
+            const data = JSON.parse(line);
+            if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+                records.push({ row: index + 1, parseError: t('import.NOT_AN_OBJECT') });
+            } else {
+                records.push({ row: index + 1, data });
+            }
+        } catch (error) {
+            records.push({ row: index + 1, parseError: t('import.INVALID_JSON', { reason: error.message }) });
+        }
+    });
+    return records;
+}
+
+// Mongoose doğrulama hataları alan bazlı, isteğin dilindeki mesajlara çevrilir (API cevaplarıyla aynı metinler)
+function errorMessages(error, t) {
+    const httpError = toHttpError(error, t);
+    if (!httpError) {
+        return [error.message];
+    }
+    if (httpError.errors) {
+        return httpError.errors.map(fieldError => fieldError.message);
+    }
+    return [t(`errors.${httpError.code}`, httpError.params, httpError.message)];
+}
+
+function addRowError(summary, row, email, messages) {
+    summary.failed++;
+    if (summary.rowErrors.length < MAX_REPORTED_ERRORS) {
+        summary.rowErrors.push({ row, email, messages });
+    }
+}
+
+// Kayıtları işler ve özet döner. onProgress her parçadan sonra çağrılır, t satır hatalarının dilini belirler.
+async function importUsers(User, records, { dryRun = false, upsert = false, onProgress, t = createTranslator(DEFAULT_LOCALE) } = {}) {
+    const summary = {
+        total: records.length,
+        processed: 0,
+        created: 0,
+        updated: 0,
+        failed: 0,
+        rowErrors: []
+    };
+    const seenEmails = new Set();
+
+    for (let start = 0; start < records.length; start += IMPORT_CHUNK_SIZE) {
+        const chunk = records.slice(start, start + IMPORT_CHUNK_SIZE);
+
+        const chunkEmails = chunk
+            .map(record => record.data?.email)
+            .filter(email => typeof email === 'string')
+            .map(email => email.toLowerCase().trim());
+        const existing = await User.find({ email: { $in: chunkEmails } }).select('email').lean();
+        const existingEmails = new Set(existing.map(user => user.email));
+
+        for (const record of chunk) {
+            summary.processed++;
+
+            if (record.parseError) {
+                addRowError(summary, record.row, undefined, [record.parseError]);
+                continue;
+            }
+
+            const unknownFields = Object.keys(record.data).filter(field => !IMPORT_FIELDS.includes(field));
+            const email = typeof record.data.email === 'string' ? record.data.email.toLowerCase().trim() : undefined;
+
+            if (unknownFields.length > 0) {
+                addRowError(summary, record.row, email, [t('import.UNKNOWN_FIELDS', { fields: unknownFields.join(', ') })]);
+                continue;
+            }
+
+            if (email && seenEmails.has(email)) {
+                addRowError(summary, record.row, email, [t('import.DUPLICATE_IN_FILE')]);
+                continue;
+            }
+            if (email) {
+                seenEmails.add(email);
+            }
+
+            const fields = { ...record.data, email };
+
+            try {
+                if (email && existingEmails.has(email)) {
+                    if (!upsert) {
+                        addRowError(summary, record.row, email, [t('errors.EMAIL_ALREADY_EXISTS')]);
+                        continue;
+                    }
+
+                    const validationError = new User(fields).validateSync(Object.keys(fields));
+                    if (validationError) {
+                        addRowError(summary, record.row, email, errorMessages(validationError, t));
+                        continue;
+                    }
+
+                    if (!dryRun) {
+                        const { email: _email, ...changes } = fields;
+                        await User.findOneAndUpdate(
+                            { email },
+                            { $set: { ...changes, updatedAt: Date.now() } },
+                            { runValidators: true }
+                        );
+                    }
+                    summary.updated++;
+                } else {
+                    // Import edilen kullanıcılar şifrelerini "şifremi unuttum" akışıyla belirler
+                    const user = new User({ ...fields, password: generateToken(16) });
+                    const validationError = user.validateSync();
+                    if (validationError) {
+                        addRowError(summary, record.row, email, errorMessages(validationError, t));
+                        continue;
+                    }
+
+                    if (!dryRun) {
+                        await user.save();
+                    }
+                    summary.created++;
+                }
+            } catch (error) {
+                const messages = error.code === 11000
+                    ? [t('import.EMAIL_TAKEN_BY_DELETED_USER')]
+                    : errorMessages(error, t);
+                addRowError(summary, record.row, email, messages);
+            }
+        }
+
+        if (onProgress) {
+            await onProgress(summary);
+        }
+    }
+
+    return summary;
+}
+
+// Arka plan işi: ilerlemeyi ImportJob dokümanına yazar
+async function runImportJob(jobId, User, records, options) {
+    try {
+        await ImportJob.updateOne({ _id: jobId }, { status: 'running', startedAt: new Date() });
+
+        const summary = await importUsers(User, records, {
+            ...options,
+            onProgress: (progress) => ImportJob.updateOne({ _id: jobId }, progress)
+        });
+
+        await ImportJob.updateOne({ _id: jobId }, { ...summary, status: 'completed', finishedAt: new Date() });
+        logger.info('Import tamamlandı', { jobId, created: summary.created, updated: summary.updated, failed: summary.failed });
+    } catch (error) {
+        logger.error('Import işi başarısız', { jobId, error });
+        await ImportJob.updateOne({ _id: jobId }, { status: 'failed', error: error.message, finishedAt: new Date() })
+            .catch(() => {});
+    }
+}
+
+module.exports = {
+    IMPORT_FIELDS,
+    parseImportPayload,
+    importUsers,
+    runImportJob
+};
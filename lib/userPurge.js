@@ -0,0 +1,80 @@
+// lib/userPurge.js - Çöp kutusundaki kullanıcıları saklama süresi dolunca ilişkili verileriyle kalıcı sil
+const ChatRoom = require('../models/chatRoom');
+const Message = require('../models/message');
+const Log = require('../models/log');
+const RefreshToken = require('../models/refreshToken');
+const VerificationToken = require('../models/verificationToken');
+const PasswordResetToken = require('../models/passwordResetToken');
+const UserAudit = require('../models/userAudit');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+const USER_RETENTION_DAYS = config.users.retentionDays;
+const USER_PURGE_INTERVAL_MS = config.users.purgeIntervalMs;
+const PURGE_BATCH_SIZE = 500;
+
+// Kullanıcılara bağlı tüm kayıtları temizle
+async function cascadeUserDeletion(userIds) {
+    // Kullanıcının kurduğu odalar ve o odaların mesajları
+    const ownedRooms = await ChatRoom.find({ createdBy: { $in: userIds } }).select('_id');
+    const ownedRoomIds = ownedRooms.map(room => room._id);
+
+    await Promise.all([
+        Message.deleteMany({ $or: [{ sender: { $in: userIds } }, { chatRoom: { $in: ownedRoomIds } }] }),
+        Message.updateMany({}, { $pull: { readBy: { user: { $in: userIds } } } }),
+        ChatRoom.deleteMany({ _id: { $in: ownedRoomIds } }),
+        ChatRoom.updateMany({}, { $pull: { members: { $in: userIds } } }),
+        Log.deleteMany({ userId: { $in: userIds } }),
+        RefreshToken.deleteMany({ user: { $in: userIds } }),
+        VerificationToken.deleteMany({ user: { $in: userIds } }),
+        PasswordResetToken.deleteMany({ user: { $in: userIds } }),
+        UserAudit.deleteMany({ user: { $in: userIds } })
+    ]);
+}
+
+async function purgeDeletedUsers(User, retentionDays = USER_RETENTION_DAYS) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    let purged = 0;
+
+    // Büyük çöp kutularını parça parça işle
+    for (;;) {
+        const users = await User.find({ deletedAt: { $ne: null, $lte: cutoff } })
+            .select('_id')
+            .limit(PURGE_BATCH_SIZE);
+
+        if (users.length === 0) {
+            break;
+        }
+
+        const userIds = users.map(user => user._id);
+        await cascadeUserDeletion(userIds);
+        await User.deleteMany({ _id: { $in: userIds } });
+        purged += userIds.length;
+    }
+
+    return purged;
+}
+
+function scheduleUserPurge(User) {
+    const run = async () => {
+        try {
+            const purged = await purgeDeletedUsers(User);
+            if (purged > 0) {
+                logger.info('Silinmiş kullanıcılar kalıcı olarak temizlendi', { purged, retentionDays: USER_RETENTION_DAYS });
+            }
+        } catch (error) {
+            logger.error('Kullanıcı temizleme hatası', { error });
+        }
+    };
+
+    const timer = setInterval(run, USER_PURGE_INTERVAL_MS);
+    // Zamanlayıcı process'in kapanmasını engellemesin
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    USER_RETENTION_DAYS,
+    purgeDeletedUsers,
+    scheduleUserPurge
+};
@@ -0,0 +1,286 @@
+// lib/validation.js - Route meta'sındaki params/query/body şemalarıyla istek doğrulama
+// documented() tarafından handler'dan hemen önce eklenir; OpenAPI dokümanı ile aynı tanımları kullanır.
+// - Query ve path değerleri string geldiği için tiplerine çevrilir (integer, number, boolean, date-time -> Date)
+// - Tanımlanmamış query/body alanları reddedilir
+// - Tüm hatalar toplanıp handler çalışmadan tek bir ValidationError (400) olarak iletilir
+// $ref'ler ('#/components/schemas/User') req.app.locals.apiSchemas üzerinden çözülür.
+// Hata mesajları isteğin dilinde (req.t) üretilir: validation.<KOD> ve types.<tip> anahtarları
+const { ValidationError } = require('./errors');
+const { DEFAULT_LOCALE, createTranslator } = require('./i18n');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function resolveRef(schema, context) {
+    if (!schema.$ref) {
+        return schema;
+    }
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    const resolved = context.schemas[name];
+    if (!resolved) {
+        throw new Error(`Doğrulama şeması bulunamadı: ${schema.$ref}`);
+    }
+    return resolveRef(resolved, context);
+}
+
+// allOf içindeki nesne şemalarını tek şemada birleştir
+function mergeAllOf(schema, context) {
+    if (!schema.allOf) {
+        return schema;
+    }
+    return schema.allOf.map(part => mergeAllOf(resolveRef(part, context), context)).reduce((merged, part) => ({
+        ...merged,
+        ...part,
+        properties: { ...merged.properties, ...part.properties },
+        required: [...(merged.required || []), ...(part.required || [])]
+    }), { type: 'object', properties: {}, required: [] });
+}
+
+function coerce(value, type) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if ((type === 'integer' || type === 'number') && value.trim() !== '') {
+        return Number(value);
+    }
+    if (type === 'boolean') {
+        if (value === 'true' || value === '1') return true;
+        if (value === 'false' || value === '0') return false;
+    }
+    return value;
+}
+
+function checkFormat(value, format, field, { t }, errors) {
+    const invalid = () => {
+        errors.push({ field, code: 'INVALID_FORMAT', message: t(`validation.format.${format}`, { field }) });
+        return null;
+    };
+
+    switch (format) {
+        case 'email':
+            return EMAIL_PATTERN.test(value) ? value : invalid();
+        case 'date-time': {
+            const date = new Date(value);
+            return Number.isNaN(date.getTime()) ? invalid() : date;
+        }
+        case 'objectid':
+            return OBJECT_ID_PATTERN.test(value) ? value : invalid();
+        default:
+            return value;
+    }
+}
+
+function validateObject(value, schema, field, context, errors) {
+    const { t } = context;
+    if (!isPlainObject(value)) {
+        errors.push({ field, code: 'INVALID_TYPE', message: t('validation.INVALID_TYPE', { field: field || t('validation.body'), type: t('types.object') }) });
+        return value;
+    }
+
+    const properties = schema.properties || {};
+    const prefix = field ? `${field}.` : '';
+    const result = {};
+
+    for (const key of Object.keys(value)) {
+        if (!properties[key] && schema.properties && schema.additionalProperties !== true) {
+            errors.push({ field: `${prefix}${key}`, code: 'UNKNOWN_FIELD', message: t('validation.UNKNOWN_FIELD', { field: `${prefix}${key}` }) });
+        } else if (!properties[key]) {
+            result[key] = value[key];
+        }
+    }
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+        const resolved = resolveRef(propertySchema, context);
+        if (value[key] === undefined) {
+            if ((schema.required || []).includes(key)) {
+                errors.push({ field: `${prefix}${key}`, code: 'REQUIRED', message: t('validation.REQUIRED', { field: `${prefix}${key}` }) });
+            } else if (context.applyDefaults && resolved.default !== undefined) {
+                result[key] = resolved.default;
+            }
+            continue;
+        }
+        result[key] = validateValue(value[key], resolved, `${prefix}${key}`, context, errors);
+    }
+
+    return result;
+}
+
+// Değeri şemaya göre çevirip doğrular; hatalar errors listesine eklenir, çevrilmiş değer döner
+function validateValue(value, rawSchema, field, context, errors) {
+    const schema = mergeAllOf(resolveRef(rawSchema, context), context);
+    const { t } = context;
+    const label = field || t('validation.body');
+    // Hata kodu + şema sınırları -> isteğin dilinde mesaj
+    const fail = (code, params = {}) => errors.push({ field, code, message: t(`validation.${code}`, { field: label, ...params }) });
+    const invalidType = type => fail('INVALID_TYPE', { type: t(`types.${type}`) });
+
+    if (value === null) {
+        if (!schema.nullable && schema.type) {
+            fail('NOT_NULLABLE');
+        }
+        return value;
+    }
+
+    let result = coerce(value, schema.type);
+
+    switch (schema.type) {
+        case 'integer':
+        case 'number':
+            if (typeof result !== 'number' || Number.isNaN(result) || (schema.type === 'integer' && !Number.isInteger(result))) {
+                invalidType(schema.type);
+                return value;
+            }
+            if (schema.minimum !== undefined && result < schema.minimum) {
+                fail('TOO_SMALL', { minimum: schema.minimum });
+            }
+            if (schema.maximum !== undefined && result > schema.maximum) {
+                fail('TOO_LARGE', { maximum: schema.maximum });
+            }
+            break;
+        case 'boolean':
+            if (typeof result !== 'boolean') {
+                invalidType('boolean');
+                return value;
+            }
+            break;
+        case 'string':
+            if (typeof result !== 'string') {
+                invalidType('string');
+                return value;
+            }
+            if (schema.minLength !== undefined && result.trim().length < schema.minLength) {
+                fail('TOO_SHORT', { minLength: schema.minLength });
+            }
+            if (schema.maxLength !== undefined && result.length > schema.maxLength) {
+                fail('TOO_LONG', { maxLength: schema.maxLength });
+            }
+            if (schema.format) {
+                const formatted = checkFormat(result, schema.format, field, context, errors);
+                if (formatted === null) {
+                    return value;
+                }
+                result = formatted;
+            }
+            if (schema.pattern && !schema.format && !new RegExp(schema.pattern).test(result)) {
+                fail('INVALID_FORMAT');
+            }
+            break;
+        case 'array':
+            // Query'de tek değer gönderilmişse tek elemanlı dizi sayılır
+            if (!Array.isArray(result) && context.location === 'query') {
+                result = [result];
+            }
+            if (!Array.isArray(result)) {
+                invalidType('array');
+                return value;
+            }
+            if (schema.minItems !== undefined && result.length < schema.minItems) {
+                fail('TOO_FEW_ITEMS', { minItems: schema.minItems });
+            }
+            if (schema.maxItems !== undefined && result.length > schema.maxItems) {
+                fail('TOO_MANY_ITEMS', { maxItems: schema.maxItems });
+            }
+            if (schema.items) {
+                result = result.map((item, index) => validateValue(item, schema.items, `${field}[${index}]`, context, errors));
+            }
+            break;
+        case 'object':
+            return validateObject(result, schema, field, context, errors);
+        default:
+            // Tipi belirtilmemiş şema (ör. JSON Patch value) her değeri kabul eder
+            if (schema.properties) {
+                return validateObject(result, schema, field, context, errors);
+            }
+            return result;
+    }
+
+    if (schema.enum && !schema.enum.includes(result)) {
+        fail('INVALID_ENUM', { values: schema.enum.join(', ') });
+    }
+
+    return result;
+}
+
+// { page: { type, required, description } } -> nesne şeması
+function toObjectSchema(definitions) {
+    const properties = {};
+    const required = [];
+    for (const [name, { required: isRequired, description, ...schema }] of Object.entries(definitions)) {
+        properties[name] = schema;
+        if (isRequired) {
+            required.push(name);
+        }
+    }
+    return { type: 'object', properties, required };
+}
+
+// Route meta'sından ({ params, query, body, bodies, bodyContentTypes }) doğrulama middleware'i üretir.
+// Meta'da bu alanlardan hiçbiri yoksa null döner.
+function validateRequest({ params, query, body, bodies, bodyContentTypes }) {
+    if (!params && !query && !body && !bodies) {
+        return null;
+    }
+
+    const paramsSchema = params && toObjectSchema(Object.fromEntries(
+        Object.entries(params).map(([name, schema]) => [name, { ...schema, required: true }])
+    ));
+    const querySchema = query && toObjectSchema(query);
+    // JSON dışı içerik tipleri (CSV vb.) sadece o tipte gönderildiğinde doğrulanır
+    const bodySchemas = bodies || (body && bodyContentTypes && Object.fromEntries(bodyContentTypes.map(type => [type, body])));
+
+    return function validateRequestMiddleware(req, res, next) {
+        const schemas = req.app.locals.apiSchemas || {};
+        const t = req.t || createTranslator(DEFAULT_LOCALE);
+        const errors = [];
+
+        try {
+            const locations = [];
+            if (paramsSchema) {
+                locations.push(['params', paramsSchema]);
+            }
+            if (querySchema) {
+                locations.push(['query', querySchema]);
+            }
+            if (bodySchemas) {
+                const contentType = req.is(Object.keys(bodySchemas));
+                if (contentType) {
+                    locations.push(['body', bodySchemas[contentType]]);
+                }
+            } else if (body) {
+                locations.push(['body', body]);
+            }
+
+            const values = {};
+            for (const [location, schema] of locations) {
+                const locationErrors = [];
+                values[location] = validateValue(req[location], schema, '', {
+                    schemas,
+                    t,
+                    location,
+                    applyDefaults: location !== 'body'
+                }, locationErrors);
+                errors.push(...locationErrors.map(error => ({ in: location, ...error })));
+            }
+
+            if (errors.length > 0) {
+                return next(new ValidationError(errors));
+            }
+
+            for (const [location, value] of Object.entries(values)) {
+                req[location] = value;
+            }
+        } catch (error) {
+            return next(error);
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    validateRequest
+};
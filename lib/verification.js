@@ -0,0 +1,127 @@
+// lib/verification.js - Email/SMS doğrulama token'larının üretilmesi ve kontrolü
+const crypto = require('crypto');
+const VerificationToken = require('../models/verificationToken');
+const { hashToken, generateToken } = require('./tokens');
+
+// Email token'ı hash'iyle aranır; yanlış token hiçbir kayda denk gelmediği için deneme sayacı yalnızca SMS'te vardır
+const CHANNEL_SETTINGS = {
+    email: { ttlMs: 24 * 60 * 60 * 1000 },
+    sms: { ttlMs: 10 * 60 * 1000, maxAttempts: 5 }
+};
+
+// Aynı kanaldan tekrar gönderim için beklenmesi gereken süre
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+function generateChannelToken(channel) {
+    if (channel === 'sms') {
+        return String(crypto.randomInt(100000, 1000000));
+    }
+    return generateToken();
+}
+
+// Yeni token üretir, aynı kanaldaki eski token'ları geçersiz kılar ve düz token'ı döner
+async function createVerificationToken(userId, channel) {
+    const settings = CHANNEL_SETTINGS[channel];
+    const token = generateChannelToken(channel);
+
+    await VerificationToken.deleteMany({ user: userId, channel, consumedAt: null });
+    await VerificationToken.create({
+        user: userId,
+        channel,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + settings.ttlMs)
+    });
+
+    return token;
+}
+
+// Tekrar gönderim için kalan bekleme süresi (ms), beklemeye gerek yoksa 0
+async function getResendCooldown(userId, channel) {
+    const last = await VerificationToken.findOne({ user: userId, channel }).sort({ createdAt: -1 });
+    if (!last) {
+        return 0;
+    }
+    return Math.max(0, last.createdAt.getTime() + RESEND_COOLDOWN_MS - Date.now());
+}
+
+// Email linkindeki token'ı kontrol eder. Dönen reason: not_found | expired
+// Token tek bir koşullu güncellemeyle tüketilir; aynı link eşzamanlı iki kez kullanılamaz
+async function consumeEmailToken(token) {
+    const now = new Date();
+    const filter = { channel: 'email', tokenHash: hashToken(token), consumedAt: null };
+
+    const record = await VerificationToken.findOneAndUpdate(
+        { ...filter, expiresAt: { $gt: now } },
+        { $set: { consumedAt: now } },
+        { new: true }
+    );
+    if (record) {
+        return { ok: true, userId: record.user };
+    }
+
+    // Sadece hangi hatanın döneceğini belirler
+    const unconsumed = await VerificationToken.exists(filter);
+    return { ok: false, reason: unconsumed ? 'expired' : 'not_found' };
+}
+
+// Kullanıcının son SMS kodunu kontrol eder, her denemede sayacı artırır.
+// Dönen reason: not_found | expired | too_many_attempts | invalid
+async function consumeSmsCode(userId, code) {
+    const record = await VerificationToken.findOne({ user: userId, channel: 'sms', consumedAt: null })
+        .sort({ createdAt: -1 });
+
+    if (!record) {
+        return { ok: false, reason: 'not_found' };
+    }
+    if (record.expiresAt < new Date()) {
+        return { ok: false, reason: 'expired' };
+    }
+
+    // Deneme hakkı tek bir atomik güncellemeyle düşülür; eşzamanlı tahminler aynı sayacı okuyup limiti aşamaz
+    const { maxAttempts } = CHANNEL_SETTINGS.sms;
+    const attempt = await VerificationToken.findOneAndUpdate(
+        { _id: record._id, consumedAt: null, attempts: { $lt: maxAttempts } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!attempt) {
+        return { ok: false, reason: 'too_many_attempts' };
+    }
+
+    const expected = Buffer.from(attempt.tokenHash, 'hex');
+    const actual = Buffer.from(hashToken(code), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        return {
+            ok: false,
+            reason: 'invalid',
+            remainingAttempts: maxAttempts - attempt.attempts
+        };
+    }
+
+    // Aynı doğru kod eşzamanlı iki kez kullanılamaz
+    const consumed = await VerificationToken.findOneAndUpdate(
+        { _id: attempt._id, consumedAt: null },
+        { $set: { consumedAt: new Date() } },
+        { new: true }
+    );
+    if (!consumed) {
+        return { ok: false, reason: 'not_found' };
+    }
+    return { ok: true, userId: consumed.user };
+}
+
+// Loglarda telefon numarasının tamamı yazılmaz: +905551234567 -> +90********67
+function maskPhone(phone) {
+    if (typeof phone !== 'string' || phone.length < 6) {
+        return phone ? '***' : phone;
+    }
+    return `${phone.slice(0, 3)}${'*'.repeat(phone.length - 5)}${phone.slice(-2)}`;
+}
+
+module.exports = {
+    maskPhone,
+    createVerificationToken,
+    getResendCooldown,
+    consumeEmailToken,
+    consumeSmsCode
+};
@@ -0,0 +1,202 @@
+// locales/en.js - İngilizce mesaj kataloğu (anahtarlar locales/tr.js ile aynı)
+module.exports = {
+    // Genel hatalar
+    'errors.BAD_REQUEST': 'Bad request',
+    'errors.VALIDATION_FAILED': 'The request is invalid',
+    'errors.UNAUTHORIZED': 'Authentication required',
+    'errors.FORBIDDEN': 'You are not allowed to perform this action',
+    'errors.NOT_FOUND': 'Resource not found',
+    'errors.CONFLICT': 'Resource conflict',
+    'errors.PRECONDITION_FAILED': 'The resource has changed since you read it. Fetch the latest version and try again.',
+    'errors.UNSUPPORTED_MEDIA_TYPE': 'Unsupported Content-Type',
+    'errors.RATE_LIMITED': 'Too many requests, please try again later',
+    'errors.SERVICE_UNAVAILABLE': 'The service is currently unavailable',
+    'errors.INTERNAL_ERROR': 'An internal server error occurred',
+    'errors.MALFORMED_BODY': 'The request body could not be parsed (invalid JSON)',
+    'errors.PAYLOAD_TOO_LARGE': 'The request body is too large',
+    'errors.INVALID_ID': 'Invalid {path} format',
+    'errors.DUPLICATE_KEY': 'This record already exists',
+    'errors.ROUTE_NOT_FOUND': 'This endpoint does not exist',
+
+    // Kimlik doğrulama ve yetki
+    'errors.TOKEN_EXPIRED': 'The token has expired',
+    'errors.INVALID_TOKEN': 'Invalid token',
+    'errors.INVALID_API_KEY': 'Invalid, expired or revoked API key',
+    'errors.INSUFFICIENT_SCOPE': 'This API key is not allowed to perform this action',
+    'errors.INVALID_CREDENTIALS': 'Incorrect email or password',
+    'errors.INVALID_REFRESH_TOKEN': 'Invalid refresh token',
+    'errors.REFRESH_TOKEN_REUSED': 'The refresh token has been revoked, please log in again',
+    'errors.TOO_MANY_LOGIN_ATTEMPTS': 'Too many login attempts, please try again in 15 minutes',
+    'errors.INVALID_RESET_TOKEN': 'The password reset link is invalid or has expired',
+
+    // Doğrulama (email/SMS)
+    'errors.TOKEN_REQUIRED': 'A verification token is required',
+    'errors.VERIFICATION_CODE_NOT_FOUND': 'The verification code was not found or has already been used',
+    'errors.VERIFICATION_CODE_EXPIRED': 'The verification code has expired, request a new one',
+    'errors.TOO_MANY_ATTEMPTS': 'Too many failed attempts, request a new code',
+    'errors.INVALID_VERIFICATION_CODE': 'The verification code is incorrect',
+    'errors.ALREADY_VERIFIED': 'This channel is already verified',
+    'errors.PHONE_MISSING': 'No phone number on file',
+    'errors.RESEND_COOLDOWN': 'Please wait {retryAfter} seconds before requesting a new code',
+
+    // Kullanıcılar
+    'errors.USER_NOT_FOUND': 'User not found',
+    'errors.DELETED_USER_NOT_FOUND': 'No such user in the trash',
+    'errors.EMAIL_ALREADY_EXISTS': 'This email address is already in use',
+    'errors.VERSION_NOT_FOUND': 'This version was not found in the history',
+    'errors.UNKNOWN_FIELDS': 'Unknown or read-only field(s): {fields}',
+    'errors.ROLE_ASSIGNMENT_FORBIDDEN': 'You are not allowed to assign roles',
+    'errors.STATUS_ASSIGNMENT_FORBIDDEN': 'You are not allowed to assign a status',
+    'errors.FIELD_FORBIDDEN': 'You are not allowed to change the {field} field',
+    'errors.API_KEY_NOT_FOUND': 'No active API key found',
+    'errors.API_KEY_CONFLICT': 'The key was revoked or rotated by another request in the meantime',
+
+    // Import
+    'errors.UNSUPPORTED_IMPORT_FORMAT': 'Unsupported format. Send text/csv or application/x-ndjson, or use ?format=csv|ndjson',
+    'errors.EMPTY_IMPORT': 'There is nothing to import',
+    'errors.INVALID_IMPORT_PAYLOAD': 'The import data could not be read: {reason}',
+    'errors.IMPORT_JOB_NOT_FOUND': 'Import job not found',
+
+    // Sayfalama ve sıralama
+    'errors.INVALID_LIMIT': 'limit must be an integer between 1 and {max}',
+    'errors.INVALID_SORT_ORDER': 'Invalid sort order: {order} (asc or desc)',
+    'errors.INVALID_SORT_FIELD': 'Cannot sort by this field: {field}. Allowed: {allowed}',
+    'errors.DUPLICATE_SORT_FIELD': 'Sort field repeated: {field}',
+    'errors.INVALID_CURSOR': 'Invalid cursor',
+    'errors.CURSOR_SORT_MISMATCH': 'The cursor was created with a different sort order, do not change the sort parameter',
+
+    // İstatistik ve analitik
+    'errors.INVALID_INTERVAL': 'Invalid interval: {interval}',
+    'errors.TOO_MANY_BUCKETS': 'Too many buckets (at most {max}). Narrow the date range or choose a larger interval.',
+    'errors.INVALID_TIME_ZONE': 'Invalid time zone: {timezone} (e.g. Europe/Istanbul)',
+    'errors.INVALID_TIME_RANGE': 'from must be earlier than to',
+    'errors.INVALID_BOUNDARY_COUNT': 'The boundary list must contain between 2 and {max} values',
+    'errors.INVALID_BOUNDARIES': 'Boundaries must be integers (e.g. 0,18,25,35,65,120)',
+    'errors.UNSORTED_BOUNDARIES': 'Boundaries must be in ascending order',
+    'errors.LABEL_COUNT_MISMATCH': '{count} labels are required for {count} ranges',
+    'errors.INVALID_TOP': 'top must be an integer between 1 and {max}',
+
+    // PATCH
+    'errors.UNSUPPORTED_PATCH_TYPE': 'Unsupported Content-Type. Supported: {types}',
+    'errors.INVALID_PATCH_RESULT': 'The patch result must be an object',
+    'errors.PATCH_NOT_ARRAY': 'A JSON Patch must be an array of operations',
+    'errors.PATCH_OP_MISSING': 'Every operation must have an "op" field',
+    'errors.PATCH_VALUE_REQUIRED': '"value" is required for the "{op}" operation',
+    'errors.UNSUPPORTED_PATCH_OP': 'Unsupported operation: {op}',
+    'errors.INVALID_PATCH_FIELD': 'Invalid field name: {key}',
+    'errors.INVALID_POINTER': 'Invalid JSON pointer: {pointer}',
+    'errors.PATCH_PATH_NOT_FOUND': 'Path not found: {pointer}',
+    'errors.INVALID_ARRAY_INDEX': 'Invalid array index: {pointer}',
+    'errors.ARRAY_INDEX_OUT_OF_BOUNDS': 'Array index out of bounds: {pointer}',
+    'errors.CANNOT_REMOVE_ROOT': 'The root document cannot be removed',
+    'errors.PATCH_MOVE_INTO_CHILD': 'A value cannot be moved into one of its own children',
+    'errors.PATCH_TEST_FAILED': 'Test failed: {path}',
+
+    // Alan bazlı doğrulama hataları (errors[].message)
+    'validation.body': 'Request body',
+    'validation.REQUIRED': '{field} is required',
+    'validation.UNKNOWN_FIELD': '{field} is not a known field',
+    'validation.NOT_EDITABLE': '{field} cannot be changed',
+    'validation.INVALID_TYPE': '{field} must be {type}',
+    'validation.TOO_SMALL': '{field} must be at least {minimum}',
+    'validation.TOO_LARGE': '{field} must be at most {maximum}',
+    'validation.TOO_SHORT': '{field} must be at least {minLength} characters long',
+    'validation.TOO_LONG': '{field} must be at most {maxLength} characters long',
+    'validation.INVALID_FORMAT': '{field} has an invalid format',
+    'validation.INVALID_ENUM': '{field} must be one of: {values}',
+    'validation.NOT_NULLABLE': '{field} cannot be null',
+    'validation.TOO_FEW_ITEMS': '{field} must contain at least {minItems} values',
+    'validation.TOO_MANY_ITEMS': '{field} must contain at most {maxItems} values',
+    'validation.FUTURE_DATE': '{field} must be a date in the future',
+    'validation.format.email': '{field} must be a valid email address',
+    'validation.format.date-time': '{field} must be a valid ISO 8601 date',
+    'validation.format.objectid': '{field} must be a valid ID',
+
+    'types.integer': 'an integer',
+    'types.number': 'a number',
+    'types.boolean': 'true or false',
+    'types.string': 'a string',
+    'types.array': 'an array',
+    'types.object': 'an object',
+
+    // Model alanlarına özel Mongoose mesajları
+    'fields.name.required': 'Name is required',
+    'fields.name.minlength': 'Name must be at least 2 characters long',
+    'fields.name.maxlength': 'Name must be at most 50 characters long',
+    'fields.email.required': 'Email is required',
+    'fields.email.regexp': 'Please enter a valid email address',
+    'fields.phone.required': 'Phone number is required',
+    'fields.phone.regexp': 'Please enter a valid Turkish phone number (+905551234567)',
+    'fields.age.required': 'Age is required',
+    'fields.age.min': 'Age cannot be less than 0',
+    'fields.age.max': 'Age cannot be greater than 120',
+    'fields.password.required': 'Password is required',
+    'fields.password.minlength': 'Password must be at least 8 characters long',
+
+    // Başarılı işlem mesajları
+    'messages.registered': 'Registration successful',
+    'messages.loggedIn': 'Login successful',
+    'messages.loggedOut': 'Logged out',
+    'messages.allSessionsRevoked': 'All sessions have been closed',
+    'messages.passwordResetRequested': 'If this email address is registered, a password reset link has been sent',
+    'messages.passwordResetCompleted': 'Your password has been updated, you can now log in with your new password',
+    'messages.emailVerified': 'Your email address has been verified',
+    'messages.phoneVerified': 'Your phone number has been verified',
+    'messages.verificationEmailSent': 'Verification email sent',
+    'messages.verificationSmsSent': 'Verification SMS sent',
+    'messages.apiKeyShownOnce': 'Save the key now, it will not be shown again',
+    'messages.apiKeyRevoked': 'API key revoked',
+    'messages.userCreated': 'User created! Background jobs have been started.',
+    'messages.userUpdated': 'User updated successfully',
+    'messages.userNotModified': 'No changes',
+    'messages.userTrashed': 'User moved to the trash. It can be restored within {days} days.',
+    'messages.userRestored': 'User restored',
+    'messages.importQueued': 'Import job queued',
+    'messages.importDryRun': 'Dry run completed, no records were written',
+    'messages.importCompleted': 'Import completed',
+    'messages.chatRoomCreated': 'Chat room created',
+    'messages.backgroundJobs.email': 'Sending welcome email...',
+    'messages.backgroundJobs.sms': 'Sending SMS: {phone}...',
+    'messages.backgroundJobs.noPhone': 'No phone number',
+    'messages.backgroundJobs.analytics': 'Recording registration analytics...',
+    'messages.backgroundJobs.imageProcessing': 'Processing profile picture...',
+
+    // Import satır hataları (rowErrors[].messages)
+    'import.NOT_AN_OBJECT': 'Each line must be a JSON object',
+    'import.INVALID_JSON': 'Invalid JSON: {reason}',
+    'import.UNKNOWN_FIELDS': 'Unknown field(s): {fields}',
+    'import.DUPLICATE_IN_FILE': 'This email appears more than once in the file',
+    'import.EMAIL_TAKEN_BY_DELETED_USER': 'This email address is already in use (it may belong to a deleted user)',
+
+    // İstatistik etiketleri
+    'analytics.defaultAgeLabels': 'Child,Young,Adult,Middle-aged+',
+    'analytics.otherAgeGroup': 'Other',
+
+    // Socket.io event hataları
+    'socket.loginFailed': 'An error occurred while logging in',
+    'socket.roomNotFound': 'Room not found',
+    'socket.joinFailed': 'An error occurred while joining the room',
+    'socket.sendFailed': 'An error occurred while sending the message',
+    'socket.rateLimited': 'Too many requests, please try again later',
+
+    // Email şablonları (lib/emailTemplates.js)
+    'email.footer': 'This email was sent automatically. Please do not reply.',
+    'email.welcome.subject': 'Welcome to our platform!',
+    'email.welcome.title': 'Welcome, {userName}!',
+    'email.welcome.body': 'Thank you for signing up. Your account has been created and is ready to use.',
+    'email.welcome.button': 'Manage my account',
+    'email.verification.subject': 'Verify your email address',
+    'email.verification.title': 'Verify your email address',
+    'email.verification.body': 'Hi {userName}, click the button below to verify your email address and activate your account.',
+    'email.verification.button': 'Verify my email address',
+    'email.verification.expiry': 'This link is valid for 24 hours.',
+    'email.passwordReset.subject': 'Password reset request',
+    'email.passwordReset.title': 'Password reset',
+    'email.passwordReset.body': 'We received a request to reset your password. Click the button below to reset it.',
+    'email.passwordReset.button': 'Reset my password',
+    'email.passwordReset.expiry': 'This link is valid for about 1 hour.',
+    'email.default.subject': 'System notification',
+    'email.default.body': 'No detailed email template was found.',
+
+    'sms.verification': 'Hi {userName}, your verification code is {code} (valid for 10 minutes)'
+};
@@ -0,0 +1,204 @@
+// locales/tr.js - Türkçe mesaj kataloğu (varsayılan dil)
+// Anahtar grupları: errors.<HATA_KODU>, validation.<ALAN_HATA_KODU>, fields.<alan>.<mongoose validator türü>,
+// types.<json tipi>, messages.*, import.*, analytics.*, socket.*, email.*, sms.*
+module.exports = {
+    // Genel hatalar
+    'errors.BAD_REQUEST': 'Geçersiz istek',
+    'errors.VALIDATION_FAILED': 'Geçersiz istek',
+    'errors.UNAUTHORIZED': 'Kimlik doğrulaması gerekli',
+    'errors.FORBIDDEN': 'Bu işlem için yetkiniz yok',
+    'errors.NOT_FOUND': 'Kayıt bulunamadı',
+    'errors.CONFLICT': 'Kayıt çakışması',
+    'errors.PRECONDITION_FAILED': 'Kayıt siz okuduktan sonra değiştirilmiş. Güncel halini alıp tekrar deneyin.',
+    'errors.UNSUPPORTED_MEDIA_TYPE': 'Desteklenmeyen Content-Type',
+    'errors.RATE_LIMITED': 'Çok fazla istek gönderdiniz, lütfen biraz sonra tekrar deneyin',
+    'errors.SERVICE_UNAVAILABLE': 'Servis şu anda kullanılamıyor',
+    'errors.INTERNAL_ERROR': 'Sunucu hatası oluştu',
+    'errors.MALFORMED_BODY': 'İstek gövdesi ayrıştırılamadı (geçersiz JSON)',
+    'errors.PAYLOAD_TOO_LARGE': 'İstek gövdesi çok büyük',
+    'errors.INVALID_ID': 'Geçersiz {path} formatı',
+    'errors.DUPLICATE_KEY': 'Bu kayıt zaten mevcut',
+    'errors.ROUTE_NOT_FOUND': 'Bu endpoint mevcut değil',
+
+    // Kimlik doğrulama ve yetki
+    'errors.TOKEN_EXPIRED': 'Token süresi dolmuş',
+    'errors.INVALID_TOKEN': 'Geçersiz token',
+    'errors.INVALID_API_KEY': 'Geçersiz, süresi dolmuş veya iptal edilmiş API anahtarı',
+    'errors.INSUFFICIENT_SCOPE': 'Bu API anahtarının bu işlem için yetkisi yok',
+    'errors.INVALID_CREDENTIALS': 'Email veya şifre hatalı',
+    'errors.INVALID_REFRESH_TOKEN': 'Geçersiz refresh token',
+    'errors.REFRESH_TOKEN_REUSED': 'Refresh token iptal edilmiş, lütfen tekrar giriş yapın',
+    'errors.TOO_MANY_LOGIN_ATTEMPTS': 'Çok fazla giriş denemesi, lütfen 15 dakika sonra tekrar deneyin',
+    'errors.INVALID_RESET_TOKEN': 'Şifre sıfırlama linki geçersiz veya süresi dolmuş',
+
+    // Doğrulama (email/SMS)
+    'errors.TOKEN_REQUIRED': 'Doğrulama token\'ı zorunludur',
+    'errors.VERIFICATION_CODE_NOT_FOUND': 'Doğrulama kodu bulunamadı veya daha önce kullanılmış',
+    'errors.VERIFICATION_CODE_EXPIRED': 'Doğrulama kodunun süresi dolmuş, yeni kod isteyin',
+    'errors.TOO_MANY_ATTEMPTS': 'Çok fazla hatalı deneme yapıldı, yeni kod isteyin',
+    'errors.INVALID_VERIFICATION_CODE': 'Doğrulama kodu hatalı',
+    'errors.ALREADY_VERIFIED': 'Bu kanal zaten doğrulanmış',
+    'errors.PHONE_MISSING': 'Kayıtlı telefon numarası yok',
+    'errors.RESEND_COOLDOWN': 'Yeni kod için {retryAfter} saniye bekleyin',
+
+    // Kullanıcılar
+    'errors.USER_NOT_FOUND': 'Kullanıcı bulunamadı',
+    'errors.DELETED_USER_NOT_FOUND': 'Çöp kutusunda böyle bir kullanıcı yok',
+    'errors.EMAIL_ALREADY_EXISTS': 'Bu email adresi zaten kullanılıyor',
+    'errors.VERSION_NOT_FOUND': 'Geçmişte bu versiyon bulunamadı',
+    'errors.UNKNOWN_FIELDS': 'Bilinmeyen veya değiştirilemez alan(lar): {fields}',
+    'errors.ROLE_ASSIGNMENT_FORBIDDEN': 'Rol atama yetkiniz yok',
+    'errors.STATUS_ASSIGNMENT_FORBIDDEN': 'Durum atama yetkiniz yok',
+    'errors.FIELD_FORBIDDEN': '{field} alanını değiştirme yetkiniz yok',
+    'errors.API_KEY_NOT_FOUND': 'Aktif API anahtarı bulunamadı',
+    'errors.API_KEY_CONFLICT': 'Anahtar bu sırada başka bir istekle iptal edildi veya rotate edildi',
+
+    // Import
+    'errors.UNSUPPORTED_IMPORT_FORMAT': 'Desteklenmeyen format. text/csv veya application/x-ndjson gönderin ya da ?format=csv|ndjson kullanın',
+    'errors.EMPTY_IMPORT': 'Import edilecek veri boş',
+    'errors.INVALID_IMPORT_PAYLOAD': 'Import verisi okunamadı: {reason}',
+    'errors.IMPORT_JOB_NOT_FOUND': 'Import işi bulunamadı',
+
+    // Sayfalama ve sıralama
+    'errors.INVALID_LIMIT': 'limit 1 ile {max} arasında bir tam sayı olmalıdır',
+    'errors.INVALID_SORT_ORDER': 'Geçersiz sıralama yönü: {order} (asc veya desc)',
+    'errors.INVALID_SORT_FIELD': 'Bu alana göre sıralama yapılamaz: {field}. İzin verilenler: {allowed}',
+    'errors.DUPLICATE_SORT_FIELD': 'Sıralama alanı tekrar edilmiş: {field}',
+    'errors.INVALID_CURSOR': 'Geçersiz cursor',
+    'errors.CURSOR_SORT_MISMATCH': 'Cursor farklı bir sıralama ile üretilmiş, sort parametresini değiştirmeyin',
+
+    // İstatistik ve analitik
+    'errors.INVALID_INTERVAL': 'Geçersiz aralık: {interval}',
+    'errors.TOO_MANY_BUCKETS': 'Çok fazla aralık (en fazla {max}). Tarih aralığını daraltın veya daha büyük bir interval seçin.',
+    'errors.INVALID_TIME_ZONE': 'Geçersiz saat dilimi: {timezone} (ör. Europe/Istanbul)',
+    'errors.INVALID_TIME_RANGE': 'from, to tarihinden önce olmalıdır',
+    'errors.INVALID_BOUNDARY_COUNT': 'Sınır listesi 2 ile {max} arasında değer içermelidir',
+    'errors.INVALID_BOUNDARIES': 'Sınırlar tam sayı olmalıdır (ör. 0,18,25,35,65,120)',
+    'errors.UNSORTED_BOUNDARIES': 'Sınırlar artan sırada olmalıdır',
+    'errors.LABEL_COUNT_MISMATCH': '{count} aralık için {count} etiket gönderilmelidir',
+    'errors.INVALID_TOP': 'top 1 ile {max} arasında bir tam sayı olmalıdır',
+
+    // PATCH
+    'errors.UNSUPPORTED_PATCH_TYPE': 'Desteklenmeyen Content-Type. Desteklenenler: {types}',
+    'errors.INVALID_PATCH_RESULT': 'Patch sonucu bir nesne olmalıdır',
+    'errors.PATCH_NOT_ARRAY': 'JSON Patch bir işlem dizisi olmalıdır',
+    'errors.PATCH_OP_MISSING': 'Her işlemin bir "op" alanı olmalıdır',
+    'errors.PATCH_VALUE_REQUIRED': '"{op}" işlemi için "value" zorunludur',
+    'errors.UNSUPPORTED_PATCH_OP': 'Desteklenmeyen işlem: {op}',
+    'errors.INVALID_PATCH_FIELD': 'Geçersiz alan adı: {key}',
+    'errors.INVALID_POINTER': 'Geçersiz JSON pointer: {pointer}',
+    'errors.PATCH_PATH_NOT_FOUND': 'Yol bulunamadı: {pointer}',
+    'errors.INVALID_ARRAY_INDEX': 'Geçersiz dizi indeksi: {pointer}',
+    'errors.ARRAY_INDEX_OUT_OF_BOUNDS': 'Dizi indeksi sınır dışında: {pointer}',
+    'errors.CANNOT_REMOVE_ROOT': 'Kök belge silinemez',
+    'errors.PATCH_MOVE_INTO_CHILD': 'Bir değer kendi alt yoluna taşınamaz',
+    'errors.PATCH_TEST_FAILED': 'Test başarısız: {path}',
+
+    // Alan bazlı doğrulama hataları (errors[].message)
+    'validation.body': 'İstek gövdesi',
+    'validation.REQUIRED': '{field} zorunludur',
+    'validation.UNKNOWN_FIELD': '{field} tanımlı bir alan değil',
+    'validation.NOT_EDITABLE': '{field} değiştirilemez',
+    'validation.INVALID_TYPE': '{field} {type} olmalıdır',
+    'validation.TOO_SMALL': '{field} en az {minimum} olmalıdır',
+    'validation.TOO_LARGE': '{field} en fazla {maximum} olabilir',
+    'validation.TOO_SHORT': '{field} en az {minLength} karakter olmalıdır',
+    'validation.TOO_LONG': '{field} en fazla {maxLength} karakter olabilir',
+    'validation.INVALID_FORMAT': '{field} geçerli formatta değil',
+    'validation.INVALID_ENUM': '{field} şunlardan biri olmalıdır: {values}',
+    'validation.NOT_NULLABLE': '{field} null olamaz',
+    'validation.TOO_FEW_ITEMS': '{field} en az {minItems} değer içermelidir',
+    'validation.TOO_MANY_ITEMS': '{field} en fazla {maxItems} değer içerebilir',
+    'validation.FUTURE_DATE': '{field} gelecekte bir tarih olmalıdır',
+    'validation.format.email': '{field} geçerli bir email adresi olmalıdır',
+    'validation.format.date-time': '{field} geçerli bir ISO 8601 tarihi olmalıdır',
+    'validation.format.objectid': '{field} geçerli bir ID olmalıdır',
+
+    'types.integer': 'tam sayı',
+    'types.number': 'sayı',
+    'types.boolean': 'true veya false',
+    'types.string': 'metin',
+    'types.array': 'dizi',
+    'types.object': 'nesne',
+
+    // Model alanlarına özel Mongoose mesajları
+    'fields.name.required': 'İsim zorunludur',
+    'fields.name.minlength': 'İsim en az 2 karakter olmalıdır',
+    'fields.name.maxlength': 'İsim en fazla 50 karakter olabilir',
+    'fields.email.required': 'Email zorunludur',
+    'fields.email.regexp': 'Geçerli bir email adresi giriniz',
+    'fields.phone.required': 'Telefon numarası zorunludur',
+    'fields.phone.regexp': 'Geçerli bir Türkiye telefon numarası giriniz (+905551234567)',
+    'fields.age.required': 'Yaş zorunludur',
+    'fields.age.min': 'Yaş 0\'dan küçük olamaz',
+    'fields.age.max': 'Yaş 120\'den büyük olamaz',
+    'fields.password.required': 'Şifre zorunludur',
+    'fields.password.minlength': 'Şifre en az 8 karakter olmalıdır',
+
+    // Başarılı işlem mesajları
+    'messages.registered': 'Kayıt başarılı',
+    'messages.loggedIn': 'Giriş başarılı',
+    'messages.loggedOut': 'Çıkış yapıldı',
+    'messages.allSessionsRevoked': 'Tüm oturumlar kapatıldı',
+    'messages.passwordResetRequested': 'Bu email adresi kayıtlıysa şifre sıfırlama linki gönderildi',
+    'messages.passwordResetCompleted': 'Şifreniz güncellendi, yeni şifrenizle giriş yapabilirsiniz',
+    'messages.emailVerified': 'Email adresiniz doğrulandı',
+    'messages.phoneVerified': 'Telefon numaranız doğrulandı',
+    'messages.verificationEmailSent': 'Doğrulama emaili gönderildi',
+    'messages.verificationSmsSent': 'Doğrulama SMS\'i gönderildi',
+    'messages.apiKeyShownOnce': 'Anahtarı şimdi kaydedin, bir daha gösterilmeyecek',
+    'messages.apiKeyRevoked': 'API anahtarı iptal edildi',
+    'messages.userCreated': 'Kullanıcı oluşturuldu! Background işlemleri başlatıldı.',
+    'messages.userUpdated': 'Kullanıcı başarıyla güncellendi',
+    'messages.userNotModified': 'Değişiklik yok',
+    'messages.userTrashed': 'Kullanıcı çöp kutusuna taşındı. {days} gün içinde geri yüklenebilir.',
+    'messages.userRestored': 'Kullanıcı geri yüklendi',
+    'messages.importQueued': 'Import işi kuyruğa alındı',
+    'messages.importDryRun': 'Dry-run tamamlandı, hiçbir kayıt yazılmadı',
+    'messages.importCompleted': 'Import tamamlandı',
+    'messages.chatRoomCreated': 'Chat odası oluşturuldu',
+    'messages.backgroundJobs.email': 'Hoş geldin emaili gönderiliyor...',
+    'messages.backgroundJobs.sms': 'SMS gönderiliyor: {phone}...',
+    'messages.backgroundJobs.noPhone': 'Telefon numarası yok',
+    'messages.backgroundJobs.analytics': 'Kayıt analitiği kaydediliyor...',
+    'messages.backgroundJobs.imageProcessing': 'Profil resmi işleniyor...',
+
+    // Import satır hataları (rowErrors[].messages)
+    'import.NOT_AN_OBJECT': 'Her satır bir JSON nesnesi olmalıdır',
+    'import.INVALID_JSON': 'Geçersiz JSON: {reason}',
+    'import.UNKNOWN_FIELDS': 'Bilinmeyen alan(lar): {fields}',
+    'import.DUPLICATE_IN_FILE': 'Bu email dosyada birden fazla kez geçiyor',
+    'import.EMAIL_TAKEN_BY_DELETED_USER': 'Bu email adresi zaten kullanılıyor (silinmiş bir kullanıcıya ait olabilir)',
+
+    // İstatistik etiketleri; defaultAgeLabels varsayılan yaş aralıkları için virgülle ayrılmış liste
+    'analytics.defaultAgeLabels': 'Çocuk,Genç,Yetişkin,Orta Yaş+',
+    'analytics.otherAgeGroup': 'Diğer',
+
+    // Socket.io event hataları
+    'socket.loginFailed': 'Giriş yapılırken hata oluştu',
+    'socket.roomNotFound': 'Oda bulunamadı',
+    'socket.joinFailed': 'Odaya katılırken hata oluştu',
+    'socket.sendFailed': 'Mesaj gönderilirken hata oluştu',
+    'socket.rateLimited': 'Çok fazla istek gönderdiniz, lütfen biraz sonra tekrar deneyin',
+
+    // Email şablonları (lib/emailTemplates.js)
+    'email.footer': 'Bu email otomatik olarak gönderilmiştir. Lütfen yanıtlamayınız.',
+    'email.welcome.subject': 'Platformumuza Hoş Geldiniz!',
+    'email.welcome.title': 'Hoş Geldiniz, {userName}!',
+    'email.welcome.body': 'Platformumuza kayıt olduğunuz için teşekkür ederiz. Hesabınız başarıyla oluşturuldu ve kullanıma hazır durumda.',
+    'email.welcome.button': 'Hesabımı Yönet',
+    'email.verification.subject': 'Email Adresinizi Doğrulayın',
+    'email.verification.title': 'Email Adresinizi Doğrulayın',
+    'email.verification.body': 'Merhaba {userName}, hesabınızı aktifleştirmek için aşağıdaki butona tıklayarak email adresinizi doğrulayın.',
+    'email.verification.button': 'Email Adresimi Doğrula',
+    'email.verification.expiry': 'Bu linkin geçerlilik süresi 24 saattir.',
+    'email.passwordReset.subject': 'Şifre Sıfırlama Talebi',
+    'email.passwordReset.title': 'Şifre Sıfırlama',
+    'email.passwordReset.body': 'Şifre sıfırlama talebiniz alınmıştır. Aşağıdaki butona tıklayarak şifrenizi sıfırlayabilirsiniz.',
+    'email.passwordReset.button': 'Şifremi Sıfırla',
+    'email.passwordReset.expiry': 'Bu linkin geçerlilik süresi 1 saat kadardır.',
+    'email.default.subject': 'Sistem Bildirimi',
+    'email.default.body': 'Detaylı bir email şablonu bulunamadı.',
+
+    'sms.verification': 'Merhaba {userName}, doğrulama kodunuz: {code} (10 dakika geçerlidir)'
+};
@@ -0,0 +1,60 @@
+// models/apiKey.js - Servisler arası erişim için API anahtarları (anahtarın kendisi değil hash'i saklanır)
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Anahtar adı zorunludur'],
+        trim: true,
+        maxlength: [100, 'Anahtar adı en fazla 100 karakter olabilir']
+    },
+    // Listede anahtarı tanımak için gösterilen kısım (uk_<prefix>_...)
+    prefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    scopes: {
+        type: [String],
+        validate: {
+            validator: scopes => scopes.length > 0,
+            message: 'En az bir scope seçilmelidir'
+        }
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    // Rotate edilince yeni anahtarın id'si
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiKey'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Hash response'larda görünmesin (create sonrası dokümanda bulunur)
+apiKeySchema.set('toJSON', {
+    versionKey: false,
+    transform: (doc, ret) => {
+        delete ret.keyHash;
+        return ret;
+    }
+});
+
+module.exports = mongoose.models.ApiKey || mongoose.model('ApiKey', apiKeySchema);
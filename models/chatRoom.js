@@ -0,0 +1,34 @@
+// models/chatRoom.js - Chat odası modeli
+const mongoose = require('mongoose');
+
+const chatRoomSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+    description: {
+        type: String,
+        maxlength: 200
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    members: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    isPrivate: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.models.ChatRoom || mongoose.model('ChatRoom', chatRoomSchema);
@@ -0,0 +1,42 @@
+// models/importJob.js - Arka planda çalışan toplu kullanıcı import işleri
+const mongoose = require('mongoose');
+
+const importJobSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    format: {
+        type: String,
+        enum: ['csv', 'ndjson'],
+        required: true
+    },
+    dryRun: { type: Boolean, default: false },
+    upsert: { type: Boolean, default: false },
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    // Satır bazlı hatalar (ilk N tanesi saklanır)
+    rowErrors: [{
+        _id: false,
+        row: Number,
+        email: String,
+        messages: [String]
+    }],
+    error: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.models.ImportJob || mongoose.model('ImportJob', importJobSchema);
@@ -0,0 +1,13 @@
+// models/log.js - İşlem logları (kuyruk işlemleri vb.)
+const mongoose = require('mongoose');
+
+const logSchema = new mongoose.Schema({
+    action: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    data: { type: mongoose.Schema.Types.Mixed },
+    timestamp: { type: Date, default: Date.now },
+    source: { type: String, default: 'api' },
+    status: { type: String, enum: ['success', 'error'], default: 'success' }
+});
+
+module.exports = mongoose.models.Log || mongoose.model('Log', logSchema);
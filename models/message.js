@@ -0,0 +1,47 @@
+// models/message.js - Chat mesajı modeli
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+    content: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 1000
+    },
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    chatRoom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChatRoom',
+        required: true
+    },
+    messageType: {
+        type: String,
+        enum: ['text', 'image', 'file', 'system'],
+        default: 'text'
+    },
+    isEdited: {
+        type: Boolean,
+        default: false
+    },
+    editedAt: Date,
+    readBy: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        readAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.models.Message || mongoose.model('Message', messageSchema);
@@ -0,0 +1,31 @@
+// models/passwordResetToken.js - Tek kullanımlık şifre sıfırlama token'ları
+const mongoose = require('mongoose');
+
+const passwordResetTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Token düz metin olarak saklanmaz, sadece SHA-256 hash'i
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: Date,
+    requestedByIp: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.PasswordResetToken || mongoose.model('PasswordResetToken', passwordResetTokenSchema);
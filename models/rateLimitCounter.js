@@ -0,0 +1,20 @@
+// models/rateLimitCounter.js - Birden fazla uygulama instance'ı arasında paylaşılan rate limit sayaçları
+const mongoose = require('mongoose');
+
+const rateLimitCounterSchema = new mongoose.Schema({
+    // "<limit adı>:<ip/kullanıcı>:<pencere no>"
+    _id: String,
+    count: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { versionKey: false });
+
+// Pencere bitince MongoDB kaydı kendisi silsin
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.RateLimitCounter || mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,33 @@
+// models/refreshToken.js - Refresh token kayıtları (rotation + iptal için)
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+    // JWT içindeki jti değeri; token'ın kendisi saklanmaz
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    replacedBy: String,
+    createdByIp: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Süresi dolan kayıtları MongoDB kendisi temizlesin
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.RefreshToken || mongoose.model('RefreshToken', refreshTokenSchema);
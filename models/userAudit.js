@@ -0,0 +1,46 @@
+// models/userAudit.js - Kullanıcı kayıtlarındaki değişikliklerin geçmişi
+const mongoose = require('mongoose');
+
+const userAuditSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'restore', 'revert'],
+        required: true
+    },
+    // Alan bazlı fark; şifre gibi alanlarda değerler yazılmaz
+    changes: [{
+        _id: false,
+        field: { type: String, required: true },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+        redacted: Boolean
+    }],
+    // Değişiklik sonrası doküman versiyonu (__v / ETag)
+    version: Number,
+    revertedTo: Number,
+    // Değişikliği yapan kullanıcı; yoksa sistem veya kayıt olan kişinin kendisi
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Değişiklik bir API anahtarıyla yapıldıysa
+    apiKey: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiKey'
+    },
+    requestId: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+userAuditSchema.index({ user: 1, createdAt: -1 });
+userAuditSchema.index({ user: 1, version: 1 });
+
+module.exports = mongoose.models.UserAudit || mongoose.model('UserAudit', userAuditSchema);
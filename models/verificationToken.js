@@ -0,0 +1,39 @@
+// models/verificationToken.js - Email linki ve SMS kodu doğrulama kayıtları
+const mongoose = require('mongoose');
+
+const verificationTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    channel: {
+        type: String,
+        enum: ['email', 'sms'],
+        required: true
+    },
+    // Token/kod düz metin olarak saklanmaz, sadece SHA-256 hash'i
+    tokenHash: {
+        type: String,
+        required: true,
+        index: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    consumedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+verificationTokenSchema.index({ user: 1, channel: 1, createdAt: -1 });
+verificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.VerificationToken || mongoose.model('VerificationToken', verificationTokenSchema);
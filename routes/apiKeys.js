@@ -0,0 +1,176 @@
+// routes/apiKeys.js - Servisler için API anahtarı oluşturma, listeleme, rotate ve iptal (admin)
+const express = require('express');
+const ApiKey = require('../models/apiKey');
+const { API_KEY_SCOPES, generateApiKey } = require('../lib/apiKeys');
+const { OBJECT_ID_SCHEMA, documented } = require('../lib/apiDocs');
+const { ValidationError, NotFoundError, ConflictError } = require('../lib/errors');
+
+const ID_PARAMS = { id: OBJECT_ID_SCHEMA };
+const CREATED_KEY_RESPONSE = {
+    description: 'Anahtar oluşturuldu (key sadece bu cevapta döner)',
+    schema: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            key: { type: 'string' },
+            data: { $ref: '#/components/schemas/ApiKey' }
+        }
+    }
+};
+
+// authenticate + authorize('api-keys:manage') arkasına mount edilir
+function createApiKeyRouter() {
+    const router = express.Router();
+    const api = documented(router);
+
+    // POST /api/api-keys - Body: { name, scopes: ['users:read'], expiresAt? }
+    api.post('/', {
+        summary: 'API anahtarı oluştur',
+        body: {
+            type: 'object',
+            required: ['name', 'scopes'],
+            properties: {
+                name: { type: 'string' },
+                scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: API_KEY_SCOPES } },
+                expiresAt: { type: 'string', format: 'date-time' }
+            }
+        },
+        responses: { 201: CREATED_KEY_RESPONSE }
+    }, async (req, res, next) => {
+        try {
+            const { name, scopes, expiresAt } = req.body;
+
+            if (expiresAt !== undefined && !(expiresAt > new Date())) {
+                throw new ValidationError([{
+                    in: 'body',
+                    field: 'expiresAt',
+                    code: 'TOO_SMALL',
+                    message: req.t('validation.FUTURE_DATE', { field: 'expiresAt' })
+                }]);
+            }
+
+            const { key, prefix, keyHash } = generateApiKey();
+            const apiKey = await ApiKey.create({
+                name,
+                prefix,
+                keyHash,
+                scopes: [...new Set(scopes)],
+                expiresAt,
+                createdBy: req.user.id
+            });
+
+            res.status(201).json({
+                success: true,
+                message: req.t('messages.apiKeyShownOnce'),
+                key,
+                data: apiKey
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/api-keys?includeRevoked=true
+    api.get('/', {
+        summary: 'API anahtarlarını listele',
+        query: { includeRevoked: { type: 'boolean', default: false } }
+    }, async (req, res, next) => {
+        try {
+            const query = req.query.includeRevoked ? {} : { revokedAt: null };
+
+            const apiKeys = await ApiKey.find(query)
+                .sort({ createdAt: -1 })
+                .populate('createdBy', 'name email')
+                .select('-__v');
+
+            res.json({
+                success: true,
+                count: apiKeys.length,
+                scopes: API_KEY_SCOPES,
+                data: apiKeys
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/api-keys/:id/rotate - Aynı ad ve scope'larla yeni anahtar üretir, eskisini hemen iptal eder
+    api.post('/:id/rotate', {
+        summary: 'API anahtarını yenile (rotate)',
+        params: ID_PARAMS,
+        responses: { 201: CREATED_KEY_RESPONSE, 404: 'Aktif API anahtarı bulunamadı', 409: 'Anahtar başka bir istekle iptal edildi' }
+    }, async (req, res, next) => {
+        try {
+            const current = await ApiKey.findOne({ _id: req.params.id, revokedAt: null });
+
+            if (!current) {
+                throw new NotFoundError('Aktif API anahtarı bulunamadı', { code: 'API_KEY_NOT_FOUND' });
+            }
+
+            const { key, prefix, keyHash } = generateApiKey();
+            const replacement = await ApiKey.create({
+                name: current.name,
+                prefix,
+                keyHash,
+                scopes: current.scopes,
+                expiresAt: current.expiresAt,
+                createdBy: req.user.id
+            });
+
+            // Aynı anda iki rotate isteğinden sadece biri eskisini iptal edebilir
+            const revoked = await ApiKey.findOneAndUpdate(
+                { _id: current._id, revokedAt: null },
+                { revokedAt: new Date(), replacedBy: replacement._id }
+            );
+            if (!revoked) {
+                await ApiKey.deleteOne({ _id: replacement._id });
+                throw new ConflictError('Anahtar bu sırada başka bir istekle iptal edildi veya rotate edildi', { code: 'API_KEY_CONFLICT' });
+            }
+
+            res.status(201).json({
+                success: true,
+                message: req.t('messages.apiKeyShownOnce'),
+                key,
+                data: replacement
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // DELETE /api/api-keys/:id - İptal et (kayıt geçmiş için saklanır)
+    api.delete('/:id', {
+        summary: 'API anahtarını iptal et',
+        params: ID_PARAMS,
+        responses: { 200: 'API anahtarı iptal edildi', 404: 'Aktif API anahtarı bulunamadı' }
+    }, async (req, res, next) => {
+        try {
+            const apiKey = await ApiKey.findOneAndUpdate(
+                { _id: req.params.id, revokedAt: null },
+                { revokedAt: new Date() },
+                { new: true }
+            );
+
+            if (!apiKey) {
+                throw new NotFoundError('Aktif API anahtarı bulunamadı', { code: 'API_KEY_NOT_FOUND' });
+            }
+
+            res.json({
+                success: true,
+                message: req.t('messages.apiKeyRevoked'),
+                data: apiKey
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = createApiKeyRouter;
@@ -0,0 +1,225 @@
+// routes/auth.js - Kayıt, giriş, token yenileme ve çıkış endpoint'leri
+const express = require('express');
+const RefreshToken = require('../models/refreshToken');
+const {
+    issueTokens,
+    verifyRefreshToken,
+    revokeRefreshToken,
+    revokeAllRefreshTokens,
+    authenticateUser
+} = require('../lib/auth');
+const { documented } = require('../lib/apiDocs');
+const { BadRequestError, UnauthorizedError, NotFoundError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+
+const REFRESH_TOKEN_BODY = {
+    type: 'object',
+    required: ['refreshToken'],
+    properties: { refreshToken: { type: 'string' } }
+};
+const TOKEN_RESPONSE = { $ref: '#/components/schemas/AuthResponse' };
+
+// onRegister: kayıttan sonra sunucuya özel işler (kuyruk mesajları, socket bildirimi vb.)
+function createAuthRouter({ User, onRegister }) {
+    const router = express.Router();
+    const api = documented(router);
+
+    // POST /api/auth/register
+    api.post('/register', {
+        summary: 'Kayıt ol (token döner)',
+        body: { $ref: '#/components/schemas/RegisterInput' },
+        responses: {
+            201: { description: 'Kayıt başarılı', schema: TOKEN_RESPONSE },
+            409: 'Bu email adresi zaten kullanılıyor'
+        }
+    }, async (req, res, next) => {
+        try {
+            const { name, email, phone, age, password, locale = req.locale } = req.body;
+
+            // Dil tercihi gönderilmezse kayıt isteğinin dili saklanır (email/SMS'ler bu dilde gider)
+            const savedUser = await new User({ name, email, phone, age, password, locale }).save();
+            const { tokens } = await issueTokens(savedUser, req.ip);
+
+            res.status(201).json({
+                success: true,
+                message: req.t('messages.registered'),
+                data: savedUser,
+                tokens
+            });
+
+            if (onRegister) {
+                Promise.resolve(onRegister(savedUser)).catch((error) => {
+                    logger.error('Kayıt sonrası işlemler başarısız', { error, userId: savedUser._id });
+                });
+            }
+
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/auth/login
+    api.post('/login', {
+        summary: 'Giriş yap (token döner)',
+        body: {
+            type: 'object',
+            required: ['email', 'password'],
+            properties: {
+                email: { type: 'string', format: 'email' },
+                password: { type: 'string' }
+            }
+        },
+        responses: {
+            200: { description: 'Giriş başarılı', schema: TOKEN_RESPONSE },
+            401: 'Email veya şifre hatalı'
+        }
+    }, async (req, res, next) => {
+        try {
+            const { email, password } = req.body;
+
+            const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+password');
+
+            if (!user || !(await user.comparePassword(password))) {
+                throw new UnauthorizedError('Email veya şifre hatalı', { code: 'INVALID_CREDENTIALS' });
+            }
+
+            const { tokens } = await issueTokens(user, req.ip);
+
+            res.json({
+                success: true,
+                message: req.t('messages.loggedIn'),
+                data: user,
+                tokens
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/auth/refresh - Refresh token rotation
+    api.post('/refresh', {
+        summary: 'Access token yenile (refresh token rotation)',
+        body: REFRESH_TOKEN_BODY,
+        responses: {
+            200: 'Yeni token çifti',
+            401: 'Geçersiz veya iptal edilmiş refresh token'
+        }
+    }, async (req, res, next) => {
+        try {
+            const { refreshToken } = req.body;
+
+            let payload;
+            try {
+                payload = verifyRefreshToken(refreshToken);
+            } catch (error) {
+                throw new UnauthorizedError('Geçersiz refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+            }
+
+            // Token yeni çift üretilmeden önce tek bir koşullu güncellemeyle iptal edilir (claim).
+            // Aynı token'la gelen eşzamanlı isteklerden yalnızca biri kazanır, diğeri tekrar kullanım sayılır.
+            const claimed = await RefreshToken.findOneAndUpdate(
+                { jti: payload.jti, revokedAt: null },
+                { $set: { revokedAt: new Date() } },
+                { new: true }
+            );
+
+            if (!claimed) {
+                const stored = await RefreshToken.findOne({ jti: payload.jti });
+                if (!stored) {
+                    throw new UnauthorizedError('Geçersiz refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+                }
+
+                // İptal edilmiş token tekrar kullanılıyorsa çalınmış olabilir: tüm oturumları kapat
+                await revokeAllRefreshTokens(stored.user);
+                throw new UnauthorizedError('Refresh token iptal edilmiş, lütfen tekrar giriş yapın', { code: 'REFRESH_TOKEN_REUSED' });
+            }
+
+            const user = await User.findById(claimed.user);
+
+            if (!user) {
+                throw new UnauthorizedError('Kullanıcı bulunamadı', { code: 'USER_NOT_FOUND' });
+            }
+
+            const { tokens, jti } = await issueTokens(user, req.ip);
+            await RefreshToken.updateOne({ jti: claimed.jti }, { replacedBy: jti });
+
+            res.json({
+                success: true,
+                tokens
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/auth/logout - Verilen refresh token'ı iptal et
+    api.post('/logout', {
+        summary: 'Refresh token iptal et',
+        body: REFRESH_TOKEN_BODY
+    }, async (req, res, next) => {
+        try {
+            const { refreshToken } = req.body;
+
+            let payload;
+            try {
+                payload = verifyRefreshToken(refreshToken);
+            } catch (error) {
+                throw new BadRequestError('Geçersiz refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+            }
+
+            await revokeRefreshToken(payload.jti);
+
+            res.json({
+                success: true,
+                message: req.t('messages.loggedOut')
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/auth/logout-all - Kullanıcının tüm oturumlarını kapat
+    api.post('/logout-all', { summary: 'Tüm oturumları kapat' }, authenticateUser, async (req, res, next) => {
+        try {
+            const result = await revokeAllRefreshTokens(req.user.id);
+
+            res.json({
+                success: true,
+                message: req.t('messages.allSessionsRevoked'),
+                revokedSessions: result.modifiedCount
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // GET /api/auth/me - Giriş yapmış kullanıcının bilgileri
+    api.get('/me', {
+        summary: 'Giriş yapmış kullanıcı',
+        responses: { 200: { description: 'Kullanıcı', schema: { $ref: '#/components/schemas/User' } } }
+    }, authenticateUser, async (req, res, next) => {
+        try {
+            const user = await User.findById(req.user.id).select('-__v');
+
+            if (!user) {
+                throw new NotFoundError('Kullanıcı bulunamadı', { code: 'USER_NOT_FOUND' });
+            }
+
+            res.json({
+                success: true,
+                data: user
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = createAuthRouter;
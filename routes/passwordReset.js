@@ -0,0 +1,89 @@
+// routes/passwordReset.js - Şifre sıfırlama talebi ve onayı endpoint'leri
+const express = require('express');
+const { revokeAllRefreshTokens } = require('../lib/auth');
+const { createPasswordResetToken, consumePasswordResetToken } = require('../lib/passwordReset');
+const { documented } = require('../lib/apiDocs');
+const { BadRequestError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
+
+// sendPasswordReset: (user, token) => Promise; sıfırlama linkini email-queue'ya gönderir
+function createPasswordResetRouter({ User, sendPasswordReset }) {
+    const router = express.Router();
+    const api = documented(router);
+
+    // POST /api/auth/forgot-password - { email }
+    // Email kayıtlı olsun olmasın aynı cevap döner, işlem cevaptan sonra yapılır
+    api.post('/forgot-password', {
+        summary: 'Şifre sıfırlama linki iste',
+        body: { type: 'object', required: ['email'], properties: { email: { type: 'string', format: 'email' } } }
+    }, async (req, res) => {
+        const { email } = req.body;
+
+        res.json({
+            success: true,
+            message: req.t('messages.passwordResetRequested')
+        });
+
+        try {
+            const user = await User.findOne({ email: email.toLowerCase().trim() });
+            if (!user) {
+                return;
+            }
+
+            const token = await createPasswordResetToken(user._id, req.ip);
+            await sendPasswordReset(user, token);
+        } catch (error) {
+            logger.error('Şifre sıfırlama talebi işlenemedi', { error });
+        }
+    });
+
+    // POST /api/auth/reset-password - { token, password }
+    api.post('/reset-password', {
+        summary: 'Yeni şifre belirle (token ile)',
+        body: {
+            type: 'object',
+            required: ['token', 'password'],
+            properties: { token: { type: 'string' }, password: { type: 'string', minLength: 8 } }
+        }
+    }, async (req, res, next) => {
+        try {
+            const { token, password } = req.body;
+
+            // Token harcanmadan önce şifre kurallarını kontrol et
+            const passwordError = new User({ password }).validateSync(['password']);
+            if (passwordError) {
+                throw passwordError;
+            }
+
+            const resetToken = await consumePasswordResetToken(token);
+
+            if (!resetToken) {
+                throw new BadRequestError('Şifre sıfırlama linki geçersiz veya süresi dolmuş', { code: 'INVALID_RESET_TOKEN' });
+            }
+
+            const user = await User.findById(resetToken.user);
+
+            if (!user) {
+                throw new BadRequestError('Şifre sıfırlama linki geçersiz veya süresi dolmuş', { code: 'INVALID_RESET_TOKEN' });
+            }
+
+            user.password = password;
+            await user.save({ validateModifiedOnly: true });
+
+            // Şifre değişince açık oturumlar kapanmalı
+            await revokeAllRefreshTokens(user._id);
+
+            res.json({
+                success: true,
+                message: req.t('messages.passwordResetCompleted')
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = createPasswordResetRouter;
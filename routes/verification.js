@@ -0,0 +1,152 @@
+// routes/verification.js - Email/SMS doğrulama ve tekrar gönderim endpoint'leri
+const express = require('express');
+const { authenticateUser } = require('../lib/auth');
+const { getResendCooldown, consumeEmailToken, consumeSmsCode } = require('../lib/verification');
+const { documented } = require('../lib/apiDocs');
+const { BadRequestError, NotFoundError, TooManyRequestsError } = require('../lib/errors');
+
+// consume*() sonucu reason -> [hata kodu, mesaj]
+const FAILURES = {
+    not_found: ['VERIFICATION_CODE_NOT_FOUND', 'Doğrulama kodu bulunamadı veya daha önce kullanılmış'],
+    expired: ['VERIFICATION_CODE_EXPIRED', 'Doğrulama kodunun süresi dolmuş, yeni kod isteyin'],
+    too_many_attempts: ['TOO_MANY_ATTEMPTS', 'Çok fazla hatalı deneme yapıldı, yeni kod isteyin'],
+    invalid: ['INVALID_VERIFICATION_CODE', 'Doğrulama kodu hatalı']
+};
+
+const VERIFIED_FIELDS = {
+    email: 'emailVerifiedAt',
+    sms: 'phoneVerifiedAt'
+};
+
+// sendVerification: (user, channel) => Promise; token üretip ilgili kuyruğa gönderir
+function createVerificationRouter({ User, sendVerification }) {
+    const router = express.Router();
+    const api = documented(router);
+
+    // Doğrulanan kanalı işaretle, hesap pending ise aktifleştir
+    async function markVerified(userId, channel) {
+        await User.updateOne({ _id: userId }, { [VERIFIED_FIELDS[channel]]: new Date(), updatedAt: Date.now() });
+        await User.updateOne({ _id: userId, status: 'pending' }, { status: 'active' });
+        return User.findById(userId).select('-__v');
+    }
+
+    function verificationFailure({ reason, remainingAttempts }) {
+        const [code, message] = FAILURES[reason];
+        const ErrorClass = reason === 'too_many_attempts' ? TooManyRequestsError : BadRequestError;
+        return new ErrorClass(message, { code, reason, remainingAttempts });
+    }
+
+    async function verifyEmail(req, res, next) {
+        try {
+            const token = req.body?.token || req.query.token;
+
+            if (!token) {
+                throw new BadRequestError('Doğrulama token\'ı zorunludur', { code: 'TOKEN_REQUIRED' });
+            }
+
+            const result = await consumeEmailToken(token);
+            if (!result.ok) {
+                throw verificationFailure(result);
+            }
+
+            const user = await markVerified(result.userId, 'email');
+
+            res.json({
+                success: true,
+                message: req.t('messages.emailVerified'),
+                data: user
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // GET linkten tıklama için, POST frontend'den çağrı için
+    const verifyEmailDoc = {
+        summary: 'Email doğrula (token)',
+        responses: { 200: 'Email doğrulandı', 429: 'Çok fazla hatalı deneme' }
+    };
+    api.get('/verify-email', {
+        ...verifyEmailDoc,
+        query: { token: { type: 'string', required: true } }
+    }, verifyEmail);
+    api.post('/verify-email', {
+        ...verifyEmailDoc,
+        body: { type: 'object', required: ['token'], properties: { token: { type: 'string' } } }
+    }, verifyEmail);
+
+    // POST /api/auth/verify-phone - SMS ile gelen 6 haneli kod
+    api.post('/verify-phone', {
+        summary: 'Telefon doğrula (SMS kodu)',
+        body: { type: 'object', required: ['code'], properties: { code: { type: 'string', pattern: '^\\d{6}$' } } },
+        responses: { 200: 'Telefon doğrulandı', 429: 'Çok fazla hatalı deneme' }
+    }, authenticateUser, async (req, res, next) => {
+        try {
+            const { code } = req.body;
+
+            const result = await consumeSmsCode(req.user.id, code);
+            if (!result.ok) {
+                throw verificationFailure(result);
+            }
+
+            const user = await markVerified(req.user.id, 'sms');
+
+            res.json({
+                success: true,
+                message: req.t('messages.phoneVerified'),
+                data: user
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // POST /api/auth/resend-verification - { channel: 'email' | 'sms' }
+    api.post('/resend-verification', {
+        summary: 'Doğrulama kodunu tekrar gönder',
+        body: { type: 'object', properties: { channel: { type: 'string', enum: Object.keys(VERIFIED_FIELDS), default: 'email' } } },
+        bodyRequired: false,
+        responses: { 200: 'Doğrulama kodu gönderildi', 429: 'Tekrar göndermek için beklemek gerekiyor' }
+    }, authenticateUser, async (req, res, next) => {
+        try {
+            const { channel = 'email' } = req.body;
+
+            const user = await User.findById(req.user.id);
+
+            if (!user) {
+                throw new NotFoundError('Kullanıcı bulunamadı', { code: 'USER_NOT_FOUND' });
+            }
+
+            if (user[VERIFIED_FIELDS[channel]]) {
+                throw new BadRequestError('Bu kanal zaten doğrulanmış', { code: 'ALREADY_VERIFIED' });
+            }
+
+            if (channel === 'sms' && !user.phone) {
+                throw new BadRequestError('Kayıtlı telefon numarası yok', { code: 'PHONE_MISSING' });
+            }
+
+            const cooldownMs = await getResendCooldown(user._id, channel);
+            if (cooldownMs > 0) {
+                const retryAfter = Math.ceil(cooldownMs / 1000);
+                res.set('Retry-After', String(retryAfter));
+                throw new TooManyRequestsError(`Yeni kod için ${retryAfter} saniye bekleyin`, { code: 'RESEND_COOLDOWN', retryAfter });
+            }
+
+            await sendVerification(user, channel);
+
+            res.json({
+                success: true,
+                message: req.t(channel === 'email' ? 'messages.verificationEmailSent' : 'messages.verificationSmsSent')
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = createVerificationRouter;
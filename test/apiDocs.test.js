@@ -0,0 +1,45 @@
+// test/apiDocs.test.js - documented() ile eklenen doğrulama middleware'inin sırası
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { documented } = require('../lib/apiDocs');
+const { ResponseCache } = require('../lib/responseCache');
+
+// Express yerine route'a verilen handler listesini saklayan hedef
+function fakeTarget() {
+    const target = { routes: {} };
+    target.get = (path, ...handlers) => {
+        target.routes[path] = handlers;
+    };
+    return target;
+}
+
+describe('documented', () => {
+    const query = { limit: { type: 'integer' } };
+
+    it('doğrulamayı son handler\'dan önce ekler', () => {
+        const target = fakeTarget();
+        const authorize = (req, res, next) => next();
+        const handler = (req, res) => res.json({});
+
+        documented(target).get('/items', { query }, authorize, handler);
+
+        const handlers = target.routes['/items'];
+        assert.equal(handlers.length, 3);
+        assert.equal(handlers[0], authorize);
+        assert.equal(handlers[1].name, 'validateRequestMiddleware');
+        assert.equal(handlers[2], handler);
+    });
+
+    it('önbellekli route\'larda doğrulamayı önbellek middleware\'inden önce ekler', () => {
+        const target = fakeTarget();
+        const cache = new ResponseCache().route('items', { ttlMs: 1000 });
+        const handler = (req, res) => res.json({});
+
+        documented(target).get('/items', { query }, cache, handler);
+
+        const handlers = target.routes['/items'];
+        assert.equal(handlers[0].name, 'validateRequestMiddleware');
+        assert.equal(handlers[1], cache);
+        assert.equal(handlers[2], handler);
+    });
+});
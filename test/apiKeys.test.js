@@ -0,0 +1,211 @@
+// test/apiKeys.test.js - API anahtarı scope kontrolü, rotate ve iptal
+const { describe, it, mock, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const ApiKey = require('../models/apiKey');
+const RefreshToken = require('../models/refreshToken');
+const { requireApiKeyScope } = require('../lib/apiKeys');
+const { authenticate, issueTokens } = require('../lib/auth');
+const { authorize } = require('../lib/permissions');
+const { errorHandler } = require('../lib/errors');
+const { localize } = require('../lib/i18n');
+const createApiKeyRouter = require('../routes/apiKeys');
+
+const ADMIN = { _id: '64b7f0c2a1b2c3d4e5f60718', email: 'admin@example.com', role: 'admin', locale: 'en' };
+const USER = { _id: '64b7f0c2a1b2c3d4e5f60719', email: 'ali@example.com', role: 'user', locale: 'en' };
+
+const roundTrip = () => new Promise(resolve => setTimeout(resolve, 10));
+
+// Filtredeki her alan eşitse eşleşir; revokedAt: null iptal edilmemiş kayıtları seçer
+function matches(doc, filter) {
+    return Object.entries(filter).every(([field, value]) => (value === null ? doc[field] == null : String(doc[field]) === String(value)));
+}
+
+// ApiKey koleksiyonunun bellek içi karşılığı; dokümanlar gerçek model örnekleri (toJSON transform'u çalışsın)
+function mockApiKeyStore() {
+    const records = [];
+    const find = filter => records.find(doc => matches(doc, filter)) || null;
+
+    mock.method(ApiKey, 'create', async (doc) => {
+        const apiKey = new ApiKey(doc);
+        records.push(apiKey);
+        return apiKey;
+    });
+    mock.method(ApiKey, 'findOne', async (filter) => {
+        await roundTrip();
+        return find(filter);
+    });
+    mock.method(ApiKey, 'findOneAndUpdate', async (filter, changes) => {
+        await roundTrip();
+        const apiKey = find(filter);
+        return apiKey && apiKey.set(changes);
+    });
+    mock.method(ApiKey, 'updateOne', async (filter, changes) => {
+        const apiKey = find(filter);
+        if (apiKey) {
+            apiKey.set(changes);
+        }
+    });
+    mock.method(ApiKey, 'deleteOne', async (filter) => {
+        const apiKey = find(filter);
+        if (apiKey) {
+            records.splice(records.indexOf(apiKey), 1);
+        }
+    });
+
+    return records;
+}
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use(localize);
+    app.use('/api/api-keys', authenticate, authorize('api-keys:manage'), createApiKeyRouter());
+    app.all('/users', authenticate, requireApiKeyScope({ GET: 'users:read', default: 'users:write' }), (req, res) => res.json(req.apiKey));
+    app.get('/stats', authenticate, authorize('users:stats'), (req, res) => res.json({ success: true }));
+    app.use(errorHandler);
+    return app;
+}
+
+describe('API anahtarları', () => {
+    let server;
+    let baseUrl;
+    let records;
+    let adminToken;
+    let userToken;
+
+    before(async () => {
+        server = createApp().listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        mock.method(RefreshToken, 'create', async () => {});
+        adminToken = `Bearer ${(await issueTokens(ADMIN)).tokens.accessToken}`;
+        userToken = `Bearer ${(await issueTokens(USER)).tokens.accessToken}`;
+        mock.restoreAll();
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        records = mockApiKeyStore();
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    async function request(method, path, authorization, body) {
+        const headers = { Authorization: authorization };
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+        }
+        const res = await fetch(`${baseUrl}${path}`, { method, headers, body: body && JSON.stringify(body) });
+        return { status: res.status, body: await res.json() };
+    }
+
+    async function createKey(scopes) {
+        const { body } = await request('POST', '/api/api-keys', adminToken, { name: 'rapor servisi', scopes });
+        return body;
+    }
+
+    describe('oluşturma', () => {
+        it('anahtarı yalnızca bir kez döner, hash\'i response\'a koymaz', async () => {
+            const { status, body } = await request('POST', '/api/api-keys', adminToken, { name: 'rapor servisi', scopes: ['users:read'] });
+
+            assert.equal(status, 201);
+            assert.match(body.key, /^uk_[0-9a-f]{8}_[0-9a-f]{48}$/);
+            assert.equal(body.data.keyHash, undefined);
+            assert.deepEqual(body.data.scopes, ['users:read']);
+        });
+
+        it('anahtar yönetimi scope olarak verilemez', async () => {
+            const { status } = await request('POST', '/api/api-keys', adminToken, { name: 'yönetici', scopes: ['api-keys:manage'] });
+
+            assert.equal(status, 400);
+        });
+
+        it('admin olmayan kullanıcı anahtar yönetemez', async () => {
+            const { status, body } = await request('POST', '/api/api-keys', userToken, { name: 'rapor servisi', scopes: ['users:read'] });
+
+            assert.equal(status, 403);
+            assert.equal(body.code, 'FORBIDDEN');
+        });
+    });
+
+    describe('scope kontrolü', () => {
+        it('scope\'u olan işleme izin verir, olmayanı INSUFFICIENT_SCOPE ile reddeder', async () => {
+            const { key } = await createKey(['users:read']);
+
+            assert.equal((await request('GET', '/users', `ApiKey ${key}`)).status, 200);
+
+            const write = await request('POST', '/users', `ApiKey ${key}`);
+            assert.equal(write.status, 403);
+            assert.equal(write.body.code, 'INSUFFICIENT_SCOPE');
+
+            const stats = await request('GET', '/stats', `ApiKey ${key}`);
+            assert.equal(stats.status, 403);
+            assert.equal(stats.body.code, 'INSUFFICIENT_SCOPE');
+        });
+
+        it('authorize izniyle aynı isimdeki scope o route\'u açar', async () => {
+            const { key } = await createKey(['users:stats']);
+
+            assert.equal((await request('GET', '/stats', `ApiKey ${key}`)).status, 200);
+        });
+
+        it('API anahtarıyla anahtar yönetimi yapılamaz', async () => {
+            const { key } = await createKey(['users:read', 'users:write']);
+
+            const { status, body } = await request('GET', '/api/api-keys', `ApiKey ${key}`);
+
+            assert.equal(status, 403);
+            assert.equal(body.code, 'INSUFFICIENT_SCOPE');
+        });
+
+        it('bilinmeyen veya süresi dolmuş anahtar 401 INVALID_API_KEY alır', async () => {
+            const unknown = await request('GET', '/users', 'ApiKey uk_00000000_yok');
+            assert.equal(unknown.status, 401);
+            assert.equal(unknown.body.code, 'INVALID_API_KEY');
+
+            const { key } = await createKey(['users:read']);
+            records[0].expiresAt = new Date(Date.now() - 1000);
+            assert.equal((await request('GET', '/users', `ApiKey ${key}`)).body.code, 'INVALID_API_KEY');
+        });
+    });
+
+    describe('rotate ve iptal', () => {
+        it('rotate aynı scope\'larla yeni anahtar verir, eskisi hemen geçersiz olur', async () => {
+            const { key, data } = await createKey(['users:read']);
+
+            const { status, body } = await request('POST', `/api/api-keys/${data._id}/rotate`, adminToken);
+
+            assert.equal(status, 201);
+            assert.deepEqual(body.data.scopes, ['users:read']);
+            assert.equal(String(records.find(doc => String(doc._id) === data._id).replacedBy), body.data._id);
+            assert.equal((await request('GET', '/users', `ApiKey ${key}`)).body.code, 'INVALID_API_KEY');
+            assert.equal((await request('GET', '/users', `ApiKey ${body.key}`)).status, 200);
+        });
+
+        it('eşzamanlı rotate isteklerinden yalnızca biri yeni anahtar alır', async () => {
+            const { data } = await createKey(['users:read']);
+
+            const results = await Promise.all([
+                request('POST', `/api/api-keys/${data._id}/rotate`, adminToken),
+                request('POST', `/api/api-keys/${data._id}/rotate`, adminToken)
+            ]);
+
+            assert.deepEqual(results.map(result => result.status).sort(), [201, 409]);
+            assert.equal(records.filter(doc => doc.revokedAt == null).length, 1);
+        });
+
+        it('iptal edilmiş anahtar rotate edilemez ve kullanılamaz', async () => {
+            const { key, data } = await createKey(['users:read']);
+
+            assert.equal((await request('DELETE', `/api/api-keys/${data._id}`, adminToken)).status, 200);
+
+            const rotate = await request('POST', `/api/api-keys/${data._id}/rotate`, adminToken);
+            assert.equal(rotate.status, 404);
+            assert.equal(rotate.body.code, 'API_KEY_NOT_FOUND');
+            assert.equal((await request('GET', '/users', `ApiKey ${key}`)).status, 401);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+// test/audit.test.js - Geri alma (revert) hedefinin hesaplanması
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const UserAudit = require('../models/userAudit');
+const { AUDITED_FIELDS, stateAtVersion } = require('../lib/audit');
+
+// Mongoose dokümanı yerine user.get() ile alan okuyan basit nesne
+function fakeUser(fields) {
+    return { _id: 'user-1', get: field => fields[field] };
+}
+
+function mockHistory(entries) {
+    mock.method(UserAudit, 'exists', async () => ({ _id: 'audit-1' }));
+    mock.method(UserAudit, 'find', () => ({
+        sort: () => ({ lean: async () => entries })
+    }));
+}
+
+describe('stateAtVersion', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('dil tercihini izlenen alanlar arasında tutar', () => {
+        assert.ok(AUDITED_FIELDS.includes('locale'));
+    });
+
+    it('revert hedefinde kullanıcının mevcut dilini korur', async () => {
+        mockHistory([
+            { version: 2, changes: [{ field: 'name', before: 'Ali', after: 'Veli' }] }
+        ]);
+
+        const state = await stateAtVersion(fakeUser({ name: 'Veli', email: 'ali@example.com', locale: 'en' }), 1);
+
+        assert.equal(state.name, 'Ali');
+        assert.equal(state.locale, 'en');
+    });
+
+    it('sonradan değişen dili hedef versiyondaki değerine döndürür', async () => {
+        mockHistory([
+            { version: 3, changes: [{ field: 'locale', before: 'tr', after: 'en' }] }
+        ]);
+
+        const state = await stateAtVersion(fakeUser({ name: 'Ali', locale: 'en' }), 2);
+
+        assert.equal(state.locale, 'tr');
+    });
+
+    it('hedef versiyonun audit kaydı yoksa null döner', async () => {
+        mock.method(UserAudit, 'exists', async () => null);
+
+        assert.equal(await stateAtVersion(fakeUser({}), 7), null);
+    });
+});
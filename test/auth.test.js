@@ -0,0 +1,203 @@
+// test/auth.test.js - Giriş, refresh token rotation, tekrar kullanım tespiti ve authenticate
+const { describe, it, mock, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/refreshToken');
+const { authenticateUser } = require('../lib/auth');
+const { errorHandler } = require('../lib/errors');
+const { localize } = require('../lib/i18n');
+const createAuthRouter = require('../routes/auth');
+
+const USER = { _id: '64b7f0c2a1b2c3d4e5f60718', email: 'ali@example.com', role: 'user', locale: 'tr' };
+
+const User = {
+    findById: async id => (id.toString() === USER._id ? USER : null),
+    findOne: () => ({
+        select: async () => ({ ...USER, comparePassword: async password => password === 'dogru-sifre' })
+    })
+};
+
+// Veritabanı gecikmesi: eşzamanlı isteklerin sorguları birbirinin arasına girsin
+const roundTrip = () => new Promise(resolve => setTimeout(resolve, 10));
+
+// RefreshToken koleksiyonunun bellek içi karşılığı; findOneAndUpdate tek adımda koşulu kontrol edip yazar
+function mockRefreshTokenStore() {
+    const records = new Map();
+
+    mock.method(RefreshToken, 'create', async (doc) => {
+        records.set(doc.jti, { ...doc, revokedAt: null });
+    });
+    mock.method(RefreshToken, 'findOne', async ({ jti }) => {
+        await roundTrip();
+        return records.get(jti) || null;
+    });
+    mock.method(RefreshToken, 'findOneAndUpdate', async ({ jti, revokedAt }, { $set }) => {
+        await roundTrip();
+        const record = records.get(jti);
+        if (!record || (revokedAt === null && record.revokedAt)) {
+            return null;
+        }
+        return Object.assign(record, $set);
+    });
+    mock.method(RefreshToken, 'updateOne', async ({ jti }, changes) => {
+        await roundTrip();
+        const record = records.get(jti);
+        if (record) {
+            Object.assign(record, changes);
+        }
+    });
+    mock.method(RefreshToken, 'updateMany', async ({ user }, changes) => {
+        for (const record of records.values()) {
+            if (record.user.toString() === user.toString() && !record.revokedAt) {
+                Object.assign(record, changes);
+            }
+        }
+    });
+
+    return records;
+}
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use(localize);
+    app.use('/api/auth', createAuthRouter({ User }));
+    app.get('/me', authenticateUser, (req, res) => res.json(req.user));
+    app.use(errorHandler);
+    return app;
+}
+
+describe('auth', () => {
+    let server;
+    let baseUrl;
+    let records;
+
+    before(async () => {
+        server = createApp().listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        records = mockRefreshTokenStore();
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    async function post(path, body) {
+        const res = await fetch(`${baseUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json() };
+    }
+
+    async function login() {
+        const { body } = await post('/api/auth/login', { email: USER.email, password: 'dogru-sifre' });
+        return body.tokens;
+    }
+
+    describe('POST /login', () => {
+        it('doğru şifreyle token çifti döner ve refresh token kaydedilir', async () => {
+            const { status, body } = await post('/api/auth/login', { email: USER.email, password: 'dogru-sifre' });
+
+            assert.equal(status, 200);
+            assert.equal(body.tokens.tokenType, 'Bearer');
+            assert.equal(records.size, 1);
+        });
+
+        it('yanlış şifrede 401 INVALID_CREDENTIALS döner', async () => {
+            const { status, body } = await post('/api/auth/login', { email: USER.email, password: 'yanlis' });
+
+            assert.equal(status, 401);
+            assert.equal(body.code, 'INVALID_CREDENTIALS');
+        });
+    });
+
+    describe('POST /refresh', () => {
+        it('yeni çift verir, eskisini iptal edip yenisine bağlar', async () => {
+            const tokens = await login();
+            const oldJti = jwt.decode(tokens.refreshToken).jti;
+
+            const { status, body } = await post('/api/auth/refresh', { refreshToken: tokens.refreshToken });
+
+            assert.equal(status, 200);
+            const newJti = jwt.decode(body.tokens.refreshToken).jti;
+            assert.ok(records.get(oldJti).revokedAt);
+            assert.equal(records.get(oldJti).replacedBy, newJti);
+            assert.equal(records.get(newJti).revokedAt, null);
+        });
+
+        it('iptal edilmiş token tekrar kullanılırsa tüm oturumları kapatır', async () => {
+            const tokens = await login();
+            const rotated = (await post('/api/auth/refresh', { refreshToken: tokens.refreshToken })).body.tokens;
+
+            const reuse = await post('/api/auth/refresh', { refreshToken: tokens.refreshToken });
+
+            assert.equal(reuse.status, 401);
+            assert.equal(reuse.body.code, 'REFRESH_TOKEN_REUSED');
+            assert.ok(records.get(jwt.decode(rotated.refreshToken).jti).revokedAt);
+        });
+
+        it('aynı token\'la eşzamanlı isteklerden yalnızca biri yeni çift alır', async () => {
+            const tokens = await login();
+
+            const results = await Promise.all([
+                post('/api/auth/refresh', { refreshToken: tokens.refreshToken }),
+                post('/api/auth/refresh', { refreshToken: tokens.refreshToken })
+            ]);
+
+            assert.deepEqual(results.map(result => result.status).sort(), [200, 401]);
+            assert.equal(results.find(result => result.status === 401).body.code, 'REFRESH_TOKEN_REUSED');
+        });
+
+        it('imzası geçersiz token için 401 INVALID_REFRESH_TOKEN döner', async () => {
+            const { status, body } = await post('/api/auth/refresh', { refreshToken: 'gecersiz' });
+
+            assert.equal(status, 401);
+            assert.equal(body.code, 'INVALID_REFRESH_TOKEN');
+        });
+    });
+
+    describe('authenticate', () => {
+        async function get(path, authorization) {
+            const res = await fetch(`${baseUrl}${path}`, { headers: authorization ? { Authorization: authorization } : {} });
+            return { status: res.status, body: await res.json() };
+        }
+
+        it('geçerli access token ile req.user doldurulur', async () => {
+            const tokens = await login();
+
+            const { status, body } = await get('/me', `Bearer ${tokens.accessToken}`);
+
+            assert.equal(status, 200);
+            assert.deepEqual(body, { id: USER._id, email: USER.email, role: USER.role });
+        });
+
+        it('token yoksa veya geçersizse 401 döner', async () => {
+            assert.equal((await get('/me')).status, 401);
+
+            const invalid = await get('/me', 'Bearer gecersiz');
+            assert.equal(invalid.status, 401);
+            assert.equal(invalid.body.code, 'INVALID_TOKEN');
+        });
+
+        it('refresh token access token yerine kullanılamaz', async () => {
+            const tokens = await login();
+
+            const { status } = await get('/me', `Bearer ${tokens.refreshToken}`);
+
+            assert.equal(status, 401);
+        });
+
+        it('authenticateUser API anahtarını kabul etmez', async () => {
+            const { status } = await get('/me', 'ApiKey herhangi');
+
+            assert.equal(status, 401);
+        });
+    });
+});
@@ -0,0 +1,30 @@
+// test/csv.test.js - CSV export'ta formül enjeksiyonuna karşı kaçırma
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatCsvRow } = require('../lib/csv');
+
+function formatValue(value) {
+    return formatCsvRow([value]).replace(/\r\n$/, '');
+}
+
+describe('formatCsvRow', () => {
+    it('formül başlangıçlarını kaçırır', () => {
+        assert.equal(formatValue('=SUM(A1)'), '\'=SUM(A1)');
+        assert.equal(formatValue('@cmd'), '\'@cmd');
+        assert.equal(formatValue('-cmd'), '\'-cmd');
+    });
+
+    it('rakamla devam eden + ve - yüklerini de kaçırır', () => {
+        assert.equal(formatValue('+1+cmd|\' /C calc\'!A0'), '\'+1+cmd|\' /C calc\'!A0');
+        assert.equal(formatValue('-2+3+cmd|\' /C calc\'!A0'), '\'-2+3+cmd|\' /C calc\'!A0');
+    });
+
+    it('telefon numaralarına dokunmaz', () => {
+        assert.equal(formatValue('+90 532 123 45 67'), '+90 532 123 45 67');
+        assert.equal(formatValue('+905321234567'), '+905321234567');
+    });
+
+    it('tırnak ve virgül içeren değerleri tırnaklar', () => {
+        assert.equal(formatValue('Ali, "Veli"'), '"Ali, ""Veli"""');
+    });
+});
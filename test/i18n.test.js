@@ -0,0 +1,34 @@
+// test/i18n.test.js - Sabit metin yerine katalogdan, isteğin dilinde üretilen mesajlar
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTranslator } = require('../lib/i18n');
+const { labelAgeBuckets } = require('../lib/analytics');
+const { parseImportPayload } = require('../lib/userImport');
+const tr = require('../locales/tr');
+const en = require('../locales/en');
+
+describe('mesaj katalogları', () => {
+    it('iki dilde de aynı anahtarlar vardır', () => {
+        assert.deepEqual(Object.keys(en).sort(), Object.keys(tr).sort());
+    });
+});
+
+describe('labelAgeBuckets', () => {
+    it('aralık dışı kalanları verilen dildeki etiketle döner', () => {
+        const t = createTranslator('en');
+        const buckets = labelAgeBuckets([{ _id: 0, count: 2 }, { _id: 'other', count: 1 }], [0, 18, 120], null, t('analytics.otherAgeGroup'));
+
+        assert.deepEqual(buckets.at(-1), { label: 'Other', min: null, max: null, count: 1 });
+    });
+});
+
+describe('parseImportPayload', () => {
+    it('NDJSON satır hatalarını isteğin dilinde yazar', () => {
+        const records = parseImportPayload('[1]\n{"name": "Ali"}', 'ndjson', createTranslator('en'));
+
+        assert.deepEqual(records, [
+            { row: 1, parseError: 'Each line must be a JSON object' },
+            { row: 2, data: { name: 'Ali' } }
+        ]);
+    });
+});
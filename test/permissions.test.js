@@ -0,0 +1,58 @@
+// test/permissions.test.js - Rol, sahiplik ve API anahtarı scope kontrolü
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { authorize, hasPermission } = require('../lib/permissions');
+
+// Middleware'i çalıştırıp next'e verilen hatayı (yoksa undefined) döner
+function run(middleware, req) {
+    let result;
+    middleware(req, {}, (error) => {
+        result = error;
+    });
+    return result;
+}
+
+describe('authorize', () => {
+    const ownerOf = req => req.params.id;
+
+    it('giriş yapılmamışsa 401 döner', () => {
+        const error = run(authorize('users:update'), { params: {} });
+
+        assert.equal(error.status, 401);
+    });
+
+    it('izni olmayan role 403 FORBIDDEN döner', () => {
+        const error = run(authorize('users:delete'), { user: { id: 'u1', role: 'user' }, params: {} });
+
+        assert.equal(error.status, 403);
+        assert.equal(error.code, 'FORBIDDEN');
+        assert.equal(error.extensions.requiredPermission, 'users:delete');
+    });
+
+    it('izni olan role izin verir', () => {
+        assert.equal(run(authorize('users:delete'), { user: { id: 'a1', role: 'admin' }, params: {} }), undefined);
+    });
+
+    it('kaynağın sahibi izni olmasa da geçer, başkasının kaydında reddedilir', () => {
+        const middleware = authorize('users:update', { owner: ownerOf });
+
+        assert.equal(run(middleware, { user: { id: 'u1', role: 'user' }, params: { id: 'u1' } }), undefined);
+        assert.equal(run(middleware, { user: { id: 'u1', role: 'user' }, params: { id: 'u2' } }).status, 403);
+    });
+
+    it('API anahtarında rol yerine scope kontrol edilir', () => {
+        const middleware = authorize('users:export', { owner: ownerOf });
+        const apiKeyRequest = scopes => ({ user: { id: null, role: 'service' }, apiKey: { id: 'k1', scopes }, params: { id: null } });
+
+        assert.equal(run(middleware, apiKeyRequest(['users:export'])), undefined);
+
+        const error = run(middleware, apiKeyRequest(['users:stats']));
+        assert.equal(error.status, 403);
+        assert.equal(error.code, 'INSUFFICIENT_SCOPE');
+    });
+
+    it('tanımsız izin adıyla route tanımlanamaz', () => {
+        assert.throws(() => authorize('users:fly'), /Tanımsız izin/);
+        assert.throws(() => hasPermission('admin', 'users:fly'), /Tanımsız izin/);
+    });
+});
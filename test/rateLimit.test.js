@@ -0,0 +1,131 @@
+// test/rateLimit.test.js - Sayaç deposu, HTTP middleware'i ve socket event bütçesi
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryRateLimitStore, rateLimit, socketRateLimit } = require('../lib/rateLimit');
+const { logger } = require('../lib/logger');
+
+// Middleware'i çalıştırıp set edilen header'ları ve next'e verilen hatayı döner
+async function run(middleware, req) {
+    const headers = {};
+    const res = {
+        set: (name, value) => Object.assign(headers, typeof name === 'object' ? name : { [name]: value })
+    };
+    let error;
+    await middleware(req, res, (err) => {
+        error = err;
+    });
+    return { headers, error };
+}
+
+describe('MemoryRateLimitStore', () => {
+    afterEach(() => mock.timers.reset());
+
+    it('pencere içinde sayar, pencere bitince sıfırdan başlar', async () => {
+        mock.timers.enable({ apis: ['Date'], now: 0 });
+        const store = new MemoryRateLimitStore();
+
+        assert.deepEqual(await store.increment('a', 1000), { count: 1, resetAt: 1000 });
+        assert.equal((await store.increment('a', 1000)).count, 2);
+        assert.equal((await store.increment('b', 1000)).count, 1);
+
+        mock.timers.tick(1000);
+        assert.deepEqual(await store.increment('a', 1000), { count: 1, resetAt: 2000 });
+    });
+});
+
+describe('rateLimit', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('limit içindeki isteklere RateLimit header\'larını ekler', async () => {
+        const limiter = rateLimit({ name: 'test', windowMs: 60 * 1000, max: 2, store: new MemoryRateLimitStore() });
+
+        const { headers, error } = await run(limiter, { ip: '10.0.0.1' });
+
+        assert.equal(error, undefined);
+        assert.equal(headers['RateLimit-Policy'], '2;w=60');
+        assert.equal(headers['RateLimit-Limit'], '2');
+        assert.equal(headers['RateLimit-Remaining'], '1');
+    });
+
+    it('limit aşılınca Retry-After ile 429 döner', async () => {
+        const limiter = rateLimit({ name: 'test', windowMs: 60 * 1000, max: 1, store: new MemoryRateLimitStore(), code: 'TOO_MANY_LOGIN_ATTEMPTS' });
+        await run(limiter, { ip: '10.0.0.1' });
+
+        const { headers, error } = await run(limiter, { ip: '10.0.0.1' });
+
+        assert.equal(error.status, 429);
+        assert.equal(error.code, 'TOO_MANY_LOGIN_ATTEMPTS');
+        assert.equal(headers['RateLimit-Remaining'], '0');
+        assert.equal(headers['Retry-After'], String(error.extensions.retryAfter));
+        assert.ok(error.extensions.retryAfter > 0);
+    });
+
+    it('user anahtarında API anahtarı, kullanıcı ve IP ayrı sayılır', async () => {
+        const limiter = rateLimit({ name: 'test', windowMs: 60 * 1000, max: 1, keyBy: 'user', store: new MemoryRateLimitStore() });
+
+        await run(limiter, { ip: '10.0.0.1', user: { id: 'u1' } });
+
+        assert.equal((await run(limiter, { ip: '10.0.0.1', user: { id: 'u1' } })).error.status, 429);
+        assert.equal((await run(limiter, { ip: '10.0.0.1', user: { id: 'u2' } })).error, undefined);
+        assert.equal((await run(limiter, { ip: '10.0.0.1', apiKey: { id: 'k1' }, user: { id: null } })).error, undefined);
+        assert.equal((await run(limiter, { ip: '10.0.0.1' })).error, undefined);
+    });
+
+    it('depo hata verirse isteği engellemez', async () => {
+        mock.method(logger, 'error', () => {});
+        const store = { increment: async () => { throw new Error('bağlantı yok'); } };
+        const limiter = rateLimit({ name: 'test', windowMs: 1000, max: 1, store });
+
+        const { headers, error } = await run(limiter, { ip: '10.0.0.1' });
+
+        assert.equal(error, undefined);
+        assert.deepEqual(headers, {});
+    });
+
+    it('tanımsız anahtar türüyle oluşturulamaz', () => {
+        assert.throws(() => rateLimit({ name: 'test', windowMs: 1000, max: 1, keyBy: 'session', store: new MemoryRateLimitStore() }));
+    });
+});
+
+describe('socketRateLimit', () => {
+    // socket.use ile kaydedilen middleware'i ve emit edilen event'leri yakalayan sahte socket
+    function fakeSocket() {
+        const socket = {
+            handshake: { address: '10.0.0.1' },
+            data: { locale: 'en' },
+            emitted: [],
+            use: (middleware) => {
+                socket.middleware = middleware;
+            },
+            emit: (event, payload) => socket.emitted.push({ event, payload })
+        };
+        return socket;
+    }
+
+    async function send(socket, event) {
+        let passed = false;
+        await socket.middleware([event], () => {
+            passed = true;
+        });
+        return passed;
+    }
+
+    it('bütçe aşılınca event işlenmez ve rate-limited gönderilir', async () => {
+        const socket = fakeSocket();
+        socketRateLimit({ budgets: { 'send-message': { windowMs: 1000, max: 1 } }, store: new MemoryRateLimitStore() })(socket);
+
+        assert.equal(await send(socket, 'send-message'), true);
+        assert.equal(await send(socket, 'send-message'), false);
+        assert.equal(socket.emitted[0].event, 'rate-limited');
+        assert.equal(socket.emitted[0].payload.event, 'send-message');
+        assert.equal(socket.emitted[0].payload.message, 'Too many requests, please try again later');
+    });
+
+    it('bütçesi tanımlı olmayan event\'ler \'*\' bütçesini paylaşır', async () => {
+        const socket = fakeSocket();
+        socketRateLimit({ budgets: { '*': { windowMs: 1000, max: 1 } }, store: new MemoryRateLimitStore() })(socket);
+
+        assert.equal(await send(socket, 'typing'), true);
+        assert.equal(await send(socket, 'join-room'), false);
+    });
+});
@@ -0,0 +1,73 @@
+// test/responseCache.test.js - Önbellek anahtarının cevabın diline göre ayrılması
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ResponseCache } = require('../lib/responseCache');
+
+function fakeRequest(locale) {
+    return { locale, path: '/api/users/stats/summary', query: {}, get: () => undefined };
+}
+
+function fakeResponse() {
+    const headers = {};
+    const res = {
+        statusCode: 200,
+        headers,
+        body: undefined,
+        set(name, value) {
+            if (typeof name === 'object') {
+                Object.assign(headers, name);
+            } else {
+                headers[name.toLowerCase()] = value;
+            }
+            return res;
+        },
+        get: name => headers[name.toLowerCase()],
+        vary(field) {
+            headers.vary = field;
+            return res;
+        },
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        }
+    };
+    return res;
+}
+
+// Handler'ı çalıştırmadan önbellekten dönerse handled false kalır
+async function request(middleware, locale, body) {
+    const res = fakeResponse();
+    let handled = false;
+    await middleware(fakeRequest(locale), res, () => {
+        handled = true;
+        res.json(body);
+    });
+    return { res, handled };
+}
+
+describe('ResponseCache.route', () => {
+    it('farklı dilde istenen cevabı önbellekten dönmez', async () => {
+        const middleware = new ResponseCache().route('users:stats', { ttlMs: 60 * 1000 });
+
+        await request(middleware, 'tr', { label: 'Diğer' });
+        const english = await request(middleware, 'en', { label: 'Other' });
+        const turkish = await request(middleware, 'tr', { label: 'yeniden hesaplandı' });
+
+        assert.equal(english.handled, true);
+        assert.deepEqual(english.res.body, { label: 'Other' });
+        assert.equal(turkish.handled, false);
+        assert.deepEqual(turkish.res.body, { label: 'Diğer' });
+    });
+
+    it('Vary: Accept-Language gönderir', async () => {
+        const middleware = new ResponseCache().route('users:stats', { ttlMs: 60 * 1000 });
+
+        const { res } = await request(middleware, 'tr', {});
+
+        assert.equal(res.get('Vary'), 'Accept-Language');
+    });
+});
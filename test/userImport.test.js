@@ -0,0 +1,44 @@
+// test/userImport.test.js - Import satır hatalarının isteğin dilinde raporlanması
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { createTranslator } = require('../lib/i18n');
+const { importUsers } = require('../lib/userImport');
+
+// Veritabanı bağlantısı olmadan validateSync ile doğrulanan, User ile aynı kurallara sahip model
+const User = mongoose.model('ImportTestUser', new mongoose.Schema({
+    name: { type: String, required: true },
+    email: { type: String, required: true },
+    age: { type: Number, min: 0, max: 120 },
+    password: String
+}));
+
+describe('importUsers', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('geçersiz satırı işi durdurmadan, alan bazlı ve isteğin dilinde raporlar', async () => {
+        mock.method(User, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+
+        const summary = await importUsers(User, [
+            { row: 2, data: { name: 'Ali', email: 'ali@example.com', age: -5 } },
+            { row: 3, data: { name: 'Veli', email: 'veli@example.com', age: 30 } }
+        ], { dryRun: true, t: createTranslator('en') });
+
+        assert.equal(summary.created, 1);
+        assert.equal(summary.failed, 1);
+        assert.deepEqual(summary.rowErrors, [
+            { row: 2, email: 'ali@example.com', messages: [createTranslator('en')('fields.age.min')] }
+        ]);
+        assert.notEqual(summary.rowErrors[0].messages[0], createTranslator('tr')('fields.age.min'));
+    });
+
+    it('bilinmeyen alanları isteğin dilinde raporlar', async () => {
+        mock.method(User, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+
+        const summary = await importUsers(User, [
+            { row: 2, data: { name: 'Ali', email: 'ali@example.com', role: 'admin' } }
+        ], { dryRun: true, t: createTranslator('en') });
+
+        assert.deepEqual(summary.rowErrors[0].messages, ['Unknown field(s): role']);
+    });
+});
@@ -0,0 +1,49 @@
+// test/validation.test.js - İçerik tipine göre gövde doğrulaması (bodies)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { validateRequest } = require('../lib/validation');
+
+const PATCH_SCHEMA = { type: 'object', additionalProperties: false, properties: { age: { type: 'integer', minimum: 0 } } };
+
+describe('validateRequest bodies', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
+        app.patch('/users', validateRequest({
+            bodies: {
+                'application/merge-patch+json': PATCH_SCHEMA,
+                'application/json': PATCH_SCHEMA
+            }
+        }), (req, res) => res.json(req.body));
+        app.use((error, req, res, next) => res.status(error.status || 500).json({ code: error.code }));
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    function patch(contentType, body) {
+        return fetch(`${baseUrl}/users`, { method: 'PATCH', headers: { 'Content-Type': contentType }, body: JSON.stringify(body) });
+    }
+
+    it('merge-patch gövdesini şemaya göre doğrular', async () => {
+        const res = await patch('application/merge-patch+json', { age: -1 });
+        assert.equal(res.status, 400);
+    });
+
+    it('düz application/json gövdesini de aynı şemayla doğrular', async () => {
+        const invalid = await patch('application/json', { age: -1, role: 'admin' });
+        assert.equal(invalid.status, 400);
+        assert.equal((await invalid.json()).code, 'VALIDATION_FAILED');
+
+        const valid = await patch('application/json', { age: 30 });
+        assert.equal(valid.status, 200);
+        assert.deepEqual(await valid.json(), { age: 30 });
+    });
+});
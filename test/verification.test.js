@@ -0,0 +1,88 @@
+// test/verification.test.js - SMS kodu deneme limiti
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const VerificationToken = require('../models/verificationToken');
+const { hashToken } = require('../lib/tokens');
+const { consumeEmailToken, consumeSmsCode, maskPhone } = require('../lib/verification');
+
+const record = { _id: 'token-1', user: 'user-1', tokenHash: hashToken('123456'), attempts: 4, expiresAt: new Date(Date.now() + 60 * 1000) };
+
+function mockLatestRecord() {
+    mock.method(VerificationToken, 'findOne', () => ({ sort: async () => record }));
+}
+
+describe('consumeSmsCode', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('deneme sayacını limit koşuluyla tek güncellemede artırır', async () => {
+        mockLatestRecord();
+        const update = mock.method(VerificationToken, 'findOneAndUpdate', async () => ({ ...record, attempts: 5 }));
+
+        const result = await consumeSmsCode('user-1', '000000');
+
+        assert.deepEqual(result, { ok: false, reason: 'invalid', remainingAttempts: 0 });
+        const [filter, changes] = update.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: 'token-1', consumedAt: null, attempts: { $lt: 5 } });
+        assert.deepEqual(changes, { $inc: { attempts: 1 } });
+    });
+
+    it('limit doluysa (güncelleme eşleşmezse) kodu kontrol etmeden reddeder', async () => {
+        mockLatestRecord();
+        mock.method(VerificationToken, 'findOneAndUpdate', async () => null);
+
+        const result = await consumeSmsCode('user-1', '123456');
+
+        assert.deepEqual(result, { ok: false, reason: 'too_many_attempts' });
+    });
+
+    it('doğru kodu tüketir', async () => {
+        mockLatestRecord();
+        mock.method(VerificationToken, 'findOneAndUpdate', async () => ({ ...record, attempts: 5 }));
+
+        const result = await consumeSmsCode('user-1', '123456');
+
+        assert.deepEqual(result, { ok: true, userId: 'user-1' });
+    });
+});
+
+describe('maskPhone', () => {
+    it('ülke kodu ve son iki hane dışını gizler', () => {
+        assert.equal(maskPhone('+905551234567'), '+90********67');
+    });
+
+    it('kısa veya eksik değerleri açık yazmaz', () => {
+        assert.equal(maskPhone('1234'), '***');
+        assert.equal(maskPhone(undefined), undefined);
+    });
+});
+
+describe('consumeEmailToken', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('token\'ı süresi dolmamış ve kullanılmamışsa tek güncellemede tüketir', async () => {
+        const update = mock.method(VerificationToken, 'findOneAndUpdate', async () => ({ user: 'user-1' }));
+
+        const result = await consumeEmailToken('token');
+
+        assert.deepEqual(result, { ok: true, userId: 'user-1' });
+        const [filter, changes] = update.mock.calls[0].arguments;
+        assert.equal(filter.tokenHash, hashToken('token'));
+        assert.equal(filter.consumedAt, null);
+        assert.ok(filter.expiresAt.$gt instanceof Date);
+        assert.ok(changes.$set.consumedAt instanceof Date);
+    });
+
+    it('eşzamanlı ikinci kullanımı reddeder', async () => {
+        mock.method(VerificationToken, 'findOneAndUpdate', async () => null);
+        mock.method(VerificationToken, 'exists', async () => null);
+
+        assert.deepEqual(await consumeEmailToken('token'), { ok: false, reason: 'not_found' });
+    });
+
+    it('süresi dolmuş token için expired döner', async () => {
+        mock.method(VerificationToken, 'findOneAndUpdate', async () => null);
+        mock.method(VerificationToken, 'exists', async () => ({ _id: 'token-1' }));
+
+        assert.deepEqual(await consumeEmailToken('token'), { ok: false, reason: 'expired' });
+    });
+});